@@ -18,6 +18,7 @@
  *   - Override any setting by creating 'load-test-config.yaml' in the same directory
  *   - All test parameters can be customized via the YAML config file
  *   - YAML format supports explanatory comments for each setting
+ *   - Settings are validated against CONFIG_SCHEMA; invalid or unknown keys stop the test
  * 
  * USER JOURNEYS:
  *   1. Comprehensive Shopping: Multi-category browsing with product comparison
@@ -26,102 +27,576 @@
  *   4. Cart Abandonment: Browse → Add to Cart → Abandon at Checkout
  *   5. Window Shopping: Browse multiple categories and products
  *   6. Quick Buyer: Direct product purchase
+ *   7. GraphQL Headless: Route → Product → Cart → Checkout → placeOrder over GraphQL
  */
 
 import http from 'k6/http';
 import { check, sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';
 import { Trend } from 'k6/metrics';
+import papaparse from 'https://jslib.k6.io/papaparse/5.1.1/index.js';
+import yaml from 'https://cdnjs.cloudflare.com/ajax/libs/js-yaml/4.1.0/js-yaml.mjs';
+import pako from 'https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.esm.mjs';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
 
-// Load configuration from YAML file if available
-let config = {};
-try {
-  const configFile = open('./load-test-config.yaml');
-  // Simple YAML parser for our specific format
-  const lines = configFile.split('\n');
-  const result = {};
-  let currentSection = result;
-  let sectionStack = [result];
-  let sectionNames = [''];
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue; // Skip comments and empty lines
-    
-    const indent = line.length - line.trimStart().length;
-    const colonIndex = trimmed.indexOf(':');
-    
-    if (colonIndex > 0) {
-      const key = trimmed.substring(0, colonIndex).trim();
-      const value = trimmed.substring(colonIndex + 1).trim();
-      
-      // Adjust section stack based on indentation
-      const depth = Math.floor(indent / 2);
-      while (sectionStack.length > depth + 1) {
-        sectionStack.pop();
-        sectionNames.pop();
+// =============================================================================
+// CONFIGURATION SCHEMA
+// =============================================================================
+
+// Every key read through getConfig() must be declared here. Types:
+//   integer, number, rate (0-1), boolean, string, duration (k6 format, e.g. "3m", "90s"),
+//   stringArray
+//   stageArray (list of { duration, target } maps)
+//   storeArray (list of store view maps, see STORE_SCHEMA)
+//   restOperationArray (list of { name, method, path, weight, body } REST operations)
+//   couponArray (list of { code, expected, weight } coupon codes)
+// Optional rules: min, max, enum (allowed values).
+const CONFIG_SCHEMA = {
+  'loadTest.virtualUsers': { type: 'integer', min: 1 },
+  'loadTest.rampUpDuration': { type: 'duration' },
+  'loadTest.sustainedDuration': { type: 'duration' },
+  'loadTest.rampDownDuration': { type: 'duration' },
+  'loadTest.profile': { type: 'string', enum: ['smoke', 'load', 'stress', 'spike', 'soak', 'breakpoint', 'custom'] },
+  'loadTest.stages': { type: 'stageArray' },
+  'loadTest.stepDuration': { type: 'duration' },
+  'loadTest.spikeDuration': { type: 'duration' },
+  'loadTest.soakDuration': { type: 'duration' },
+  'loadTest.breakpointDuration': { type: 'duration' },
+  'loadTest.breakpointMaxVUs': { type: 'integer', min: 1 },
+  'loadTest.executionMode': { type: 'string', enum: ['closed', 'open'] },
+  'loadTest.arrivalRate': { type: 'integer', min: 1 },
+  'loadTest.arrivalTimeUnit': { type: 'duration' },
+  'loadTest.breakpointMaxRate': { type: 'integer', min: 1 },
+  'loadTest.expectedSessionDuration': { type: 'duration' },
+  'loadTest.preAllocatedVUs': { type: 'integer', min: 1 },
+  'loadTest.maxVUs': { type: 'integer', min: 1 },
+
+  'performance.httpTimeout': { type: 'duration' },
+  'performance.httpErrorThreshold': { type: 'rate' },
+  'performance.httpDurationThreshold': { type: 'number', min: 0 },
+  'performance.homepageDurationThreshold': { type: 'number', min: 0 },
+  'performance.productDurationThreshold': { type: 'number', min: 0 },
+  'performance.categoryDurationThreshold': { type: 'number', min: 0 },
+  'performance.searchDurationThreshold': { type: 'number', min: 0 },
+  'performance.cartDurationThreshold': { type: 'number', min: 0 },
+  'performance.droppedIterationsThreshold': { type: 'integer', min: 0 },
+
+  'userBehavior.minThinkTime': { type: 'number', min: 0 },
+  'userBehavior.maxThinkTime': { type: 'number', min: 0 },
+  'userBehavior.browseJourneyPercentage': { type: 'rate' },
+  'userBehavior.searchJourneyPercentage': { type: 'rate' },
+  'userBehavior.cartJourneyPercentage': { type: 'rate' },
+  'userBehavior.windowShoppingPercentage': { type: 'rate' },
+  'userBehavior.quickBuyerPercentage': { type: 'rate' },
+  'userBehavior.comprehensiveShoppingPercentage': { type: 'rate' },
+  'userBehavior.headlessJourneyPercentage': { type: 'rate' },
+
+  'ecommerceFlow.maxCategoriesPerSession': { type: 'integer', min: 1 },
+  'ecommerceFlow.maxProductsPerCategory': { type: 'integer', min: 1 },
+  'ecommerceFlow.maxProductsInCart': { type: 'integer', min: 1 },
+  'ecommerceFlow.checkoutCompletionRate': { type: 'rate' },
+  'ecommerceFlow.categoryReturnRate': { type: 'rate' },
+  'ecommerceFlow.productComparisonRate': { type: 'rate' },
+  'ecommerceFlow.addToCartMinQty': { type: 'integer', min: 1 },
+  'ecommerceFlow.addToCartMaxQty': { type: 'integer', min: 1 },
+
+  'checkout.orderPlacementRate': { type: 'rate' },
+  'checkout.paymentMethod': { type: 'string', enum: ['checkmo', 'free'] },
+  'checkout.shippingMethod': { type: 'string' },
+  'checkout.street': { type: 'string' },
+  'checkout.city': { type: 'string' },
+  'checkout.region': { type: 'string' },
+  'checkout.regionId': { type: 'integer', min: 0 },
+  'checkout.postcode': { type: 'string' },
+  'checkout.countryId': { type: 'string' },
+  'checkout.telephone': { type: 'string' },
+
+  'customerAccounts.registrationRate': { type: 'rate' },
+  'customerAccounts.registeredUserCheckoutRate': { type: 'rate' },
+  'customerAccounts.userPrefix': { type: 'string' },
+  'customerAccounts.accountDashboardVisitRate': { type: 'rate' },
+  'customerAccounts.orderHistoryCheckRate': { type: 'rate' },
+  'customerAccounts.addressBookAccessRate': { type: 'rate' },
+  'customerAccounts.accountInfoUpdateRate': { type: 'rate' },
+  'customerAccounts.customerPoolFile': { type: 'string' },
+  'customerAccounts.loginRate': { type: 'rate' },
+  'customerAccounts.logoutRate': { type: 'rate' },
+
+  'browsingPatterns.maxBrowsingActions': { type: 'integer', min: 1 },
+  'browsingPatterns.minBrowsingActions': { type: 'integer', min: 1 },
+  'browsingPatterns.relatedProductFollowRate': { type: 'rate' },
+  'browsingPatterns.paginationFollowRate': { type: 'rate' },
+  'browsingPatterns.breadcrumbFollowRate': { type: 'rate' },
+  'browsingPatterns.interestMatchFollowRate': { type: 'rate' },
+  'browsingPatterns.randomExplorationRate': { type: 'rate' },
+  'browsingPatterns.distractionRate': { type: 'rate' },
+  'browsingPatterns.comparisonShoppingRate': { type: 'rate' },
+  'browsingPatterns.impulseBuyingRate': { type: 'rate' },
+
+  'layeredNavigation.maxFilters': { type: 'integer', min: 1 },
+  'layeredNavigation.sortRate': { type: 'rate' },
+  'layeredNavigation.directionRate': { type: 'rate' },
+  'layeredNavigation.limitRate': { type: 'rate' },
+  'layeredNavigation.modeRate': { type: 'rate' },
+  'layeredNavigation.removeFilterRate': { type: 'rate' },
+
+  'assets.maxPerPage': { type: 'integer', min: 1 },
+  'assets.hosts': { type: 'stringArray' },
+
+  'privateContent.enabled': { type: 'boolean' },
+
+  'wishlist.moveToCartRate': { type: 'rate' },
+  'wishlist.removeRate': { type: 'rate' },
+
+  'productComparison.minProducts': { type: 'integer', min: 1 },
+  'productComparison.maxProducts': { type: 'integer', min: 1 },
+  'productComparison.clearRate': { type: 'rate' },
+
+  'coupons.codes': { type: 'couponArray' },
+  'coupons.codesFile': { type: 'string' },
+  'coupons.generatedCodeRate': { type: 'rate' },
+  'coupons.removeRate': { type: 'rate' },
+
+  'api.enableApiLoad': { type: 'boolean' },
+  'api.enableGraphqlLoad': { type: 'boolean' },
+  'api.enableRestLoad': { type: 'boolean' },
+  'api.apiTrafficPercentage': { type: 'rate' },
+  'api.graphqlSearchPageSize': { type: 'integer', min: 1 },
+  'api.graphqlRouteQuery': { type: 'string', enum: ['route', 'urlResolver'] },
+
+  'integrationApi.enabled': { type: 'boolean' },
+  'integrationApi.accessToken': { type: 'string' },
+  'integrationApi.adminUsername': { type: 'string' },
+  'integrationApi.adminPassword': { type: 'string' },
+  'integrationApi.storeCode': { type: 'string' },
+  'integrationApi.rate': { type: 'integer', min: 1 },
+  'integrationApi.timeUnit': { type: 'duration' },
+  'integrationApi.stages': { type: 'stageArray' },
+  'integrationApi.startTime': { type: 'duration' },
+  'integrationApi.duration': { type: 'duration' },
+  'integrationApi.preAllocatedVUs': { type: 'integer', min: 1 },
+  'integrationApi.maxVUs': { type: 'integer', min: 1 },
+  'integrationApi.skus': { type: 'stringArray' },
+  'integrationApi.skuSampleSize': { type: 'integer', min: 1 },
+  'integrationApi.sourceCode': { type: 'string' },
+  'integrationApi.maxPage': { type: 'integer', min: 1 },
+  'integrationApi.operations': { type: 'restOperationArray' },
+
+  'adminPanel.enabled': { type: 'boolean' },
+  'adminPanel.path': { type: 'string' },
+  'adminPanel.username': { type: 'string' },
+  'adminPanel.password': { type: 'string' },
+  'adminPanel.vus': { type: 'integer', min: 1 },
+  'adminPanel.startTime': { type: 'duration' },
+  'adminPanel.duration': { type: 'duration' },
+  'adminPanel.minThinkTime': { type: 'number', min: 0 },
+  'adminPanel.maxThinkTime': { type: 'number', min: 0 },
+  'adminPanel.gridPageSize': { type: 'integer', min: 1 },
+  'adminPanel.searchTerms': { type: 'stringArray' },
+  'adminPanel.actions.productGrid': { type: 'number', min: 0 },
+  'adminPanel.actions.orderGrid': { type: 'number', min: 0 },
+  'adminPanel.actions.customerGrid': { type: 'number', min: 0 },
+  'adminPanel.actions.productSave': { type: 'number', min: 0 },
+  'adminPanel.actions.orderView': { type: 'number', min: 0 },
+  'adminPanel.durationThreshold': { type: 'number', min: 0 },
+  'adminPanel.errorThreshold': { type: 'rate' },
+
+  'cache.cacheBypassPercentage': { type: 'rate' },
+  'cache.enableCacheBypass': { type: 'boolean' },
+  'cache.bypassStrategy': { type: 'string', enum: ['headers', 'query', 'header', 'cookie', 'vary'] },
+  'cache.bypassQueryParam': { type: 'string' },
+  'cache.bypassHeaderName': { type: 'string' },
+  'cache.bypassCookieName': { type: 'string' },
+  'cache.bypassSecret': { type: 'string' },
+  'cache.bypassPercentages.homepage': { type: 'rate' },
+  'cache.bypassPercentages.category': { type: 'rate' },
+  'cache.bypassPercentages.product': { type: 'rate' },
+  'cache.bypassPercentages.search': { type: 'rate' },
+  'cache.bypassPercentages.cms': { type: 'rate' },
+
+  'urlDiscovery.enableUrlDiscovery': { type: 'boolean' },
+  'urlDiscovery.enableFallbackUrls': { type: 'boolean' },
+  'urlDiscovery.enableDeepCrawling': { type: 'boolean' },
+  'urlDiscovery.maxCrawlDepth': { type: 'integer', min: 0 },
+  'urlDiscovery.validateUrlsBeforeUse': { type: 'boolean' },
+  'urlDiscovery.maxProducts': { type: 'integer', min: 0 },
+  'urlDiscovery.maxCategories': { type: 'integer', min: 0 },
+  'urlDiscovery.maxSearchTerms': { type: 'integer', min: 0 },
+  'urlDiscovery.maxCmsPages': { type: 'integer', min: 0 },
+  'urlDiscovery.enableSitemapDiscovery': { type: 'boolean' },
+  'urlDiscovery.sitemapPath': { type: 'string' },
+  'urlDiscovery.sitemapSampling': { type: 'string', enum: ['stratified', 'priority'] },
+  'urlDiscovery.maxSitemapFiles': { type: 'integer', min: 1 },
+  'urlDiscovery.productPriority': { type: 'rate' },
+  'urlDiscovery.categoryPriority': { type: 'rate' },
+  'urlDiscovery.cmsPriority': { type: 'rate' },
+  'urlDiscovery.setupTimeout': { type: 'duration' },
+
+  'reporting.outputDir': { type: 'string' },
+  'reporting.jsonReport': { type: 'boolean' },
+  'reporting.htmlReport': { type: 'boolean' },
+  'reporting.junitReport': { type: 'boolean' },
+
+  'baseline.file': { type: 'string' },
+  'baseline.stat': { type: 'string', enum: ['avg', 'med', 'p(90)', 'p(95)', 'p(99)', 'max'] },
+  'baseline.durationTolerance': { type: 'number', min: 0 },
+  'baseline.minDurationDelta': { type: 'number', min: 0 },
+  'baseline.errorRateTolerance': { type: 'rate' },
+  'baseline.failOnRegression': { type: 'boolean' },
+
+  'stores': { type: 'storeArray' },
+
+  'realUrls.fallbackCategorySlugs': { type: 'stringArray' },
+  'realUrls.realProductUrls': { type: 'stringArray' },
+  'realUrls.fallbackSearchTerms': { type: 'stringArray' },
+
+  'paths.cartPagePath': { type: 'string' },
+  'paths.checkoutPagePath': { type: 'string' },
+  'paths.checkoutSuccessPath': { type: 'string' },
+  'paths.addToCartPath': { type: 'string' },
+  'paths.cartUpdatePath': { type: 'string' },
+  'paths.cartDeletePath': { type: 'string' },
+  'paths.couponPostPath': { type: 'string' },
+  'paths.searchResultPathTemplate': { type: 'string' },
+  'paths.graphqlPath': { type: 'string' },
+  'paths.customerAccountPath': { type: 'string' },
+  'paths.customerLoginPath': { type: 'string' },
+  'paths.customerLoginPostPath': { type: 'string' },
+  'paths.customerLogoutPath': { type: 'string' },
+  'paths.customerSectionLoadPath': { type: 'string' },
+  'paths.customerRegisterPath': { type: 'string' },
+  'paths.customerDashboardPath': { type: 'string' },
+  'paths.orderHistoryPath': { type: 'string' },
+  'paths.addressBookPath': { type: 'string' },
+  'paths.ajaxAddToCartPath': { type: 'string' },
+  'paths.ajaxWishlistPath': { type: 'string' },
+  'paths.ajaxCompareAddPath': { type: 'string' },
+  'paths.wishlistPath': { type: 'string' },
+  'paths.wishlistMoveToCartPath': { type: 'string' },
+  'paths.wishlistRemovePath': { type: 'string' },
+  'paths.comparePath': { type: 'string' },
+  'paths.compareClearPath': { type: 'string' },
+
+  'trafficDistribution.homepage': { type: 'rate' },
+  'trafficDistribution.categoryPages': { type: 'rate' },
+  'trafficDistribution.productPages': { type: 'rate' },
+  'trafficDistribution.searchResults': { type: 'rate' },
+  'trafficDistribution.cartPages': { type: 'rate' },
+  'trafficDistribution.checkoutPages': { type: 'rate' },
+  'trafficDistribution.addToCartActions': { type: 'rate' },
+  'trafficDistribution.graphqlRequests': { type: 'rate' },
+  'trafficDistribution.restApiRequests': { type: 'rate' },
+  'trafficDistribution.customerAccount': { type: 'rate' },
+  'trafficDistribution.wishlistPages': { type: 'rate' },
+  'trafficDistribution.productComparison': { type: 'rate' },
+  'trafficDistribution.layeredNavigation': { type: 'rate' },
+  'trafficDistribution.cmsPages': { type: 'rate' },
+  'trafficDistribution.contactPages': { type: 'rate' },
+  'trafficDistribution.ajaxRequests': { type: 'rate' },
+  'trafficDistribution.mediaRequests': { type: 'rate' },
+};
+
+// Fields of a `stores` entry; only `code` is required
+const STORE_SCHEMA = {
+  code: { type: 'string' },
+  baseUrl: { type: 'string' },
+  acceptLanguage: { type: 'string' },
+  currency: { type: 'string' },
+  weight: { type: 'number', min: 0 },
+  sitemapPath: { type: 'string' },
+  products: { type: 'stringArray' },
+  categories: { type: 'stringArray' },
+  searchTerms: { type: 'stringArray' },
+  cmsPages: { type: 'stringArray' },
+};
+
+// Placeholders available in integrationApi.operations paths and bodies
+const INTEGRATION_TEMPLATE_PLACEHOLDERS = ['sku', 'page', 'quantity', 'price', 'sourceCode', 'since', 'timestamp'];
+
+// What applying a configured coupon should do: Magento accepts (valid) or rejects (invalid) it
+const COUPON_EXPECTED_OUTCOMES = ['valid', 'invalid'];
+
+// Per-profile threshold overrides: profileThresholds.<profile>.<performance setting>
+const LOAD_PROFILES = CONFIG_SCHEMA['loadTest.profile'].enum;
+const PROFILE_THRESHOLD_SETTINGS = [
+  'httpErrorThreshold', 'httpDurationThreshold', 'homepageDurationThreshold', 'productDurationThreshold',
+  'categoryDurationThreshold', 'searchDurationThreshold', 'cartDurationThreshold',
+];
+LOAD_PROFILES.forEach(profile => {
+  PROFILE_THRESHOLD_SETTINGS.forEach(setting => {
+    CONFIG_SCHEMA[`profileThresholds.${profile}.${setting}`] = CONFIG_SCHEMA[`performance.${setting}`];
+  });
+});
+
+// Rules that involve more than one key
+const CONFIG_CONSTRAINTS = [
+  { keys: ['userBehavior.minThinkTime', 'userBehavior.maxThinkTime'], test: (min, max) => min <= max, message: 'must not be greater than' },
+  { keys: ['browsingPatterns.minBrowsingActions', 'browsingPatterns.maxBrowsingActions'], test: (min, max) => min <= max, message: 'must not be greater than' },
+  { keys: ['ecommerceFlow.addToCartMinQty', 'ecommerceFlow.addToCartMaxQty'], test: (min, max) => min <= max, message: 'must not be greater than' },
+  { keys: ['loadTest.preAllocatedVUs', 'loadTest.maxVUs'], test: (min, max) => min <= max, message: 'must not be greater than' },
+  { keys: ['integrationApi.preAllocatedVUs', 'integrationApi.maxVUs'], test: (min, max) => min <= max, message: 'must not be greater than' },
+  { keys: ['adminPanel.minThinkTime', 'adminPanel.maxThinkTime'], test: (min, max) => min <= max, message: 'must not be greater than' },
+  { keys: ['productComparison.minProducts', 'productComparison.maxProducts'], test: (min, max) => min <= max, message: 'must not be greater than' },
+];
+
+const DURATION_PATTERN = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+
+// Helper to convert a k6 duration string ("1h30m", "90s", "500ms") to seconds
+function parseDurationSeconds(duration) {
+  const unitSeconds = { ms: 0.001, s: 1, m: 60, h: 3600 };
+  let total = 0;
+  String(duration).replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (match, amount, unit) => {
+    total += parseFloat(amount) * unitSeconds[unit];
+    return match;
+  });
+  return total;
+}
+
+// Check a single value against its schema rule; returns an error message or null
+function validateConfigValue(rule, value) {
+  switch (rule.type) {
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isInteger(value)) return `must be a whole number (got ${JSON.stringify(value)})`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) return `must be a number (got ${JSON.stringify(value)})`;
+      break;
+    case 'rate':
+      if (typeof value !== 'number' || value < 0 || value > 1) return `must be a number between 0 and 1 (got ${JSON.stringify(value)})`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `must be true or false (got ${JSON.stringify(value)})`;
+      break;
+    case 'string':
+      if (typeof value !== 'string') return `must be a string - quote it (got ${JSON.stringify(value)})`;
+      break;
+    case 'duration':
+      if (typeof value !== 'string' || !DURATION_PATTERN.test(value)) return `must be a duration such as "90s", "5m" or "1h30m" (got ${JSON.stringify(value)})`;
+      break;
+    case 'stringArray':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return 'must be a list of strings';
+      break;
+    case 'stageArray':
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of { duration, target } stages';
+      for (let i = 0; i < value.length; i++) {
+        const stage = value[i];
+        if (!stage || typeof stage !== 'object' || typeof stage.duration !== 'string' || !DURATION_PATTERN.test(stage.duration)) {
+          return `stage ${i + 1} needs a duration such as "90s" or "5m"`;
+        }
+        if (!Number.isInteger(stage.target) || stage.target < 0) {
+          return `stage ${i + 1} needs a whole-number target of 0 or more VUs`;
+        }
+        if (Object.keys(stage).some(key => key !== 'duration' && key !== 'target')) {
+          return `stage ${i + 1} only supports "duration" and "target"`;
+        }
       }
-      currentSection = sectionStack[sectionStack.length - 1];
-      
-      if (value === '' || value === '[]') {
-        // This is a section header or array start
-        currentSection[key] = value === '[]' ? [] : {};
-        sectionStack.push(currentSection[key]);
-        sectionNames.push(key);
-        currentSection = currentSection[key];
-      } else if (value === '' && lines[lines.indexOf(line) + 1] && lines[lines.indexOf(line) + 1].trim().startsWith('- ')) {
-        // This is an array header (next line starts with -)
-        currentSection[key] = [];
-        sectionStack.push(currentSection[key]);
-        sectionNames.push(key);
-        currentSection = currentSection[key];
-      } else if (trimmed.startsWith('- ')) {
-        // This is an array item
-        const arrayValue = value.startsWith('"') ? value.slice(1, -1) : value;
-        if (!Array.isArray(currentSection)) {
-          const parentKey = sectionNames[sectionNames.length - 1];
-          const parent = sectionStack[sectionStack.length - 2];
-          parent[parentKey] = [];
-          currentSection = parent[parentKey];
-          sectionStack[sectionStack.length - 1] = currentSection;
+      break;
+    case 'storeArray':
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of store views';
+      for (let i = 0; i < value.length; i++) {
+        const store = value[i];
+        if (!store || typeof store !== 'object' || typeof store.code !== 'string' || !/^[a-z][a-z0-9_]*$/.test(store.code)) {
+          return `store ${i + 1} needs a store code such as "default" or "fr_fr"`;
         }
-        currentSection.push(arrayValue);
-      } else {
-        // This is a key-value pair
-        let parsedValue = value;
-        
-        // Remove inline comments (everything after #)
-        const commentIndex = value.indexOf('#');
-        if (commentIndex > 0) {
-          parsedValue = value.substring(0, commentIndex).trim();
+        if (value.findIndex(other => other && other.code === store.code) !== i) {
+          return `store code "${store.code}" is listed more than once`;
         }
-        
-        if (parsedValue.startsWith('"') && parsedValue.endsWith('"')) {
-          parsedValue = parsedValue.slice(1, -1); // Remove quotes
-        } else if (parsedValue === 'true') {
-          parsedValue = true;
-        } else if (parsedValue === 'false') {
-          parsedValue = false;
-        } else if (!isNaN(parsedValue) && !isNaN(parseFloat(parsedValue))) {
-          parsedValue = parseFloat(parsedValue);
+        for (const key of Object.keys(store)) {
+          if (!STORE_SCHEMA[key]) return `store "${store.code}": unknown field "${key}"`;
+          if (store[key] === null) continue; // Empty value - default applies
+          const error = validateConfigValue(STORE_SCHEMA[key], store[key]);
+          if (error) return `store "${store.code}": ${key} ${error}`;
+        }
+        if (store.baseUrl && !/^https?:\/\/[^/]+/.test(store.baseUrl)) {
+          return `store "${store.code}": baseUrl must start with http:// or https://`;
+        }
+        if (store.currency && !/^[A-Z]{3}$/.test(store.currency)) {
+          return `store "${store.code}": currency must be an ISO 4217 code such as "EUR"`;
+        }
+      }
+      break;
+    case 'restOperationArray':
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of { name, method, path, weight, body } operations';
+      for (let i = 0; i < value.length; i++) {
+        const operation = value[i];
+        if (!operation || typeof operation !== 'object' || typeof operation.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(operation.name)) {
+          return `operation ${i + 1} needs a name such as "stock_update"`;
+        }
+        if (value.findIndex(other => other && other.name === operation.name) !== i) {
+          return `operation name "${operation.name}" is listed more than once`;
+        }
+        const unknownField = Object.keys(operation).find(key => !['name', 'method', 'path', 'weight', 'body'].includes(key));
+        if (unknownField) return `operation "${operation.name}": unknown field "${unknownField}"`;
+        if (!['GET', 'POST', 'PUT', 'DELETE'].includes(operation.method)) {
+          return `operation "${operation.name}": method must be GET, POST, PUT or DELETE`;
+        }
+        if (typeof operation.path !== 'string' || !operation.path.startsWith('/V1/')) {
+          return `operation "${operation.name}": path must start with /V1/`;
+        }
+        if (typeof operation.weight !== 'number' || operation.weight < 0) {
+          return `operation "${operation.name}": weight must be a number of 0 or more`;
+        }
+        if (operation.body !== undefined && operation.body !== null && typeof operation.body !== 'object' && typeof operation.body !== 'string') {
+          return `operation "${operation.name}": body must be a map or a JSON string`;
+        }
+        const placeholders = `${operation.path} ${JSON.stringify(operation.body || '')}`.match(/\{\{\w+\}\}/g) || [];
+        const unknownPlaceholder = placeholders.find(placeholder => !INTEGRATION_TEMPLATE_PLACEHOLDERS.includes(placeholder.slice(2, -2)));
+        if (unknownPlaceholder) {
+          return `operation "${operation.name}": unknown placeholder ${unknownPlaceholder} (use ${INTEGRATION_TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')})`;
+        }
+      }
+      if (value.every(operation => operation.weight <= 0)) return 'needs at least one operation with a weight greater than 0';
+      break;
+    case 'couponArray':
+      if (!Array.isArray(value)) return 'must be a list of { code, expected, weight } coupons';
+      for (let i = 0; i < value.length; i++) {
+        const coupon = value[i];
+        if (!coupon || typeof coupon !== 'object' || typeof coupon.code !== 'string' || coupon.code.trim() === '') {
+          return `coupon ${i + 1} needs a code`;
+        }
+        const unknownField = Object.keys(coupon).find(key => !['code', 'expected', 'weight'].includes(key));
+        if (unknownField) return `coupon "${coupon.code}": unknown field "${unknownField}"`;
+        if (!COUPON_EXPECTED_OUTCOMES.includes(coupon.expected)) {
+          return `coupon "${coupon.code}": expected must be ${COUPON_EXPECTED_OUTCOMES.join(' or ')}`;
+        }
+        if (coupon.weight !== undefined && (typeof coupon.weight !== 'number' || coupon.weight < 0)) {
+          return `coupon "${coupon.code}": weight must be a number of 0 or more`;
         }
-        currentSection[key] = parsedValue;
       }
-    } else if (trimmed.startsWith('- ')) {
-      // Array item at root level or continuing array
-      const arrayValue = trimmed.substring(2).trim();
-      const cleanValue = arrayValue.startsWith('"') ? arrayValue.slice(1, -1) : arrayValue;
-      if (Array.isArray(currentSection)) {
-        currentSection.push(cleanValue);
+      if (value.length > 0 && value.every(coupon => coupon.weight !== undefined && coupon.weight <= 0)) {
+        return 'needs at least one coupon with a weight greater than 0';
       }
+      break;
+    default:
+      return `has unsupported schema type "${rule.type}"`;
+  }
+
+  if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min} (got ${value})`;
+  if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max} (got ${value})`;
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')} (got ${JSON.stringify(value)})`;
+  return null;
+}
+
+// Edit distance, used to suggest the intended key for a typo
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+      previous = current;
     }
   }
-  
-  config = result;
-  console.log('✅ Loaded configuration from load-test-config.yaml');
+  return row[b.length];
+}
+
+// Helper to suggest the closest declared key (or section) for an unknown one
+function suggestConfigKey(path) {
+  const candidates = new Set();
+  Object.keys(CONFIG_SCHEMA).forEach(key => {
+    const parts = key.split('.');
+    for (let i = 1; i <= parts.length; i++) candidates.add(parts.slice(0, i).join('.'));
+  });
+
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    if (candidate.split('.').length !== path.split('.').length) return;
+    const distance = editDistance(path, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= 3 ? best : null;
+}
+
+// Validate a parsed config object against CONFIG_SCHEMA; returns a list of error messages
+function validateConfig(parsedConfig) {
+  const errors = [];
+  const schemaKeys = Object.keys(CONFIG_SCHEMA);
+
+  const walk = (node, prefix) => {
+    Object.keys(node).forEach(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const value = node[key];
+
+      if (value === null || value === undefined) return; // Empty value - default applies
+
+      if (CONFIG_SCHEMA[path]) {
+        const error = validateConfigValue(CONFIG_SCHEMA[path], value);
+        if (error) errors.push(`${path}: ${error}`);
+      } else if (schemaKeys.some(schemaKey => schemaKey.startsWith(`${path}.`))) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${path}: must be a section of settings`);
+        } else {
+          walk(value, path);
+        }
+      } else {
+        const suggestion = suggestConfigKey(path);
+        errors.push(`${path}: unknown setting${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      }
+    });
+  };
+
+  if (typeof parsedConfig !== 'object' || Array.isArray(parsedConfig)) {
+    return ['the file must contain a map of settings'];
+  }
+  walk(parsedConfig, '');
+
+  CONFIG_CONSTRAINTS.forEach(({ keys, test, message }) => {
+    const values = keys.map(key => lookupConfig(parsedConfig, key));
+    if (values.some(value => value === undefined)) return; // Only checked when both are set
+    if (errors.some(error => keys.some(key => error.startsWith(`${key}:`)))) return; // Already reported
+
+    if (!test(...values)) {
+      errors.push(`${keys[0]}: ${message} ${keys[1]} (${values[0]} > ${values[1]})`);
+    }
+  });
+
+  return errors;
+}
+
+// Helper to read a dotted path from a config object; undefined when not set
+function lookupConfig(source, path) {
+  let value = source;
+  for (const key of path.split('.')) {
+    if (value && typeof value === 'object' && key in value) {
+      value = value[key];
+    } else {
+      return undefined;
+    }
+  }
+  return value === null ? undefined : value;
+}
+
+// Load configuration from YAML file if available
+const CONFIG_FILE = './load-test-config.yaml';
+let config = {};
+let configFileContent = null;
+try {
+  configFileContent = open(CONFIG_FILE);
 } catch (e) {
   console.log('ℹ️  No config file found, using default configuration');
 }
 
+if (configFileContent !== null) {
+  try {
+    config = yaml.load(configFileContent) || {};
+  } catch (e) {
+    throw new Error(`Invalid YAML in load-test-config.yaml: ${e.message}`);
+  }
+
+  const configErrors = validateConfig(config);
+  if (configErrors.length > 0) {
+    throw new Error(`Invalid load-test-config.yaml:\n  - ${configErrors.join('\n  - ')}`);
+  }
+  console.log('✅ Loaded configuration from load-test-config.yaml');
+}
+
 // =============================================================================
 // DYNAMIC CONFIGURATION SYSTEM
 // =============================================================================
@@ -136,16 +611,11 @@ if (!BASE_URL) {
 
 // Helper function to get config value with fallback to default
 function getConfig(path, defaultValue) {
-  const keys = path.split('.');
-  let value = config;
-  for (const key of keys) {
-    if (value && typeof value === 'object' && key in value) {
-      value = value[key];
-    } else {
-      return defaultValue;
-    }
+  if (!CONFIG_SCHEMA[path]) {
+    throw new Error(`getConfig('${path}'): setting is not declared in CONFIG_SCHEMA`);
   }
-  return value;
+  const value = lookupConfig(config, path);
+  return value === undefined ? defaultValue : value;
 }
 
 // Load test parameters
@@ -154,17 +624,143 @@ const RAMP_UP_DURATION = getConfig('loadTest.rampUpDuration', '3m');
 const SUSTAINED_DURATION = getConfig('loadTest.sustainedDuration', '5m');
 const RAMP_DOWN_DURATION = getConfig('loadTest.rampDownDuration', '2m');
 
+// Load profile - LOAD_PROFILE env var overrides the config file
+const LOAD_PROFILE = __ENV.LOAD_PROFILE || getConfig('loadTest.profile', 'load');
+if (!LOAD_PROFILES.includes(LOAD_PROFILE)) {
+  throw new Error(`Unknown load profile "${LOAD_PROFILE}". Use one of: ${LOAD_PROFILES.join(', ')}`);
+}
+const STEP_DURATION = getConfig('loadTest.stepDuration', '2m');
+const SPIKE_DURATION = getConfig('loadTest.spikeDuration', '1m');
+const SOAK_DURATION = getConfig('loadTest.soakDuration', '4h');
+const BREAKPOINT_DURATION = getConfig('loadTest.breakpointDuration', '30m');
+const BREAKPOINT_MAX_VUS = getConfig('loadTest.breakpointMaxVUs', VIRTUAL_USERS * 3);
+const CUSTOM_STAGES = getConfig('loadTest.stages', null);
+
+// Execution model - closed (VU stages) or open (arrival-rate stages).
+// EXECUTION_MODE env var overrides the config file.
+const EXECUTION_MODE = __ENV.EXECUTION_MODE || getConfig('loadTest.executionMode', 'closed');
+if (!CONFIG_SCHEMA['loadTest.executionMode'].enum.includes(EXECUTION_MODE)) {
+  throw new Error(`Unknown execution mode "${EXECUTION_MODE}". Use "closed" or "open"`);
+}
+const ARRIVAL_RATE = getConfig('loadTest.arrivalRate', 10); // New sessions per arrivalTimeUnit at peak
+const ARRIVAL_TIME_UNIT = getConfig('loadTest.arrivalTimeUnit', '1s');
+const BREAKPOINT_MAX_RATE = getConfig('loadTest.breakpointMaxRate', ARRIVAL_RATE * 3);
+// Journeys span many pages with think time between them, so sessions last minutes, not seconds
+const EXPECTED_SESSION_DURATION = getConfig('loadTest.expectedSessionDuration', '180s');
+
+// Build the stage shape for each named load profile. In closed mode targets are VUs,
+// in open mode they are new sessions per arrivalTimeUnit.
+function buildProfileStages(profile, peak, breakpointMax) {
+  const spikeBaseline = Math.max(1, Math.round(peak * 0.1));
+
+  switch (profile) {
+    case 'smoke':
+      // Single VU (or session per time unit) sanity check of every journey
+      return [{ duration: '1m', target: 1 }];
+    case 'stress':
+      // Step up to 50%, 100%, 150% and 200% of the peak, holding each step
+      return [0.5, 1, 1.5, 2].flatMap(factor => {
+        const target = Math.max(1, Math.round(peak * factor));
+        return [{ duration: STEP_DURATION, target }, { duration: STEP_DURATION, target }];
+      }).concat([{ duration: RAMP_DOWN_DURATION, target: 0 }]);
+    case 'spike':
+      // Quiet baseline, sudden jump to the peak, then recovery at the baseline
+      return [
+        { duration: '1m', target: spikeBaseline },
+        { duration: '10s', target: peak },
+        { duration: SPIKE_DURATION, target: peak },
+        { duration: '10s', target: spikeBaseline },
+        { duration: '3m', target: spikeBaseline },
+        { duration: '30s', target: 0 },
+      ];
+    case 'soak':
+      // Normal load held for hours to surface leaks and slow degradation
+      return [
+        { duration: RAMP_UP_DURATION, target: peak },
+        { duration: SOAK_DURATION, target: peak },
+        { duration: RAMP_DOWN_DURATION, target: 0 },
+      ];
+    case 'breakpoint':
+      // Linear ramp until thresholds abort the test
+      return [{ duration: BREAKPOINT_DURATION, target: breakpointMax }];
+    case 'custom':
+      if (!CUSTOM_STAGES) {
+        throw new Error('loadTest.profile "custom" requires a loadTest.stages list of { duration, target } stages');
+      }
+      return CUSTOM_STAGES;
+    case 'load':
+    default:
+      return [
+        { duration: RAMP_UP_DURATION, target: peak }, // Ramp-up phase
+        { duration: SUSTAINED_DURATION, target: peak }, // Sustained load phase
+        { duration: RAMP_DOWN_DURATION, target: 0 }, // Ramp-down phase
+      ];
+  }
+}
+
+const LOAD_STAGES = EXECUTION_MODE === 'open'
+  ? buildProfileStages(LOAD_PROFILE, ARRIVAL_RATE, BREAKPOINT_MAX_RATE)
+  : buildProfileStages(LOAD_PROFILE, VIRTUAL_USERS, BREAKPOINT_MAX_VUS);
+
+// Open-model VU pool sized with Little's law: concurrent sessions = arrival rate × session duration.
+// maxVUs leaves room for sessions to slow down; beyond it k6 drops iterations.
+const PEAK_STAGE_TARGET = Math.max(...LOAD_STAGES.map(stage => stage.target));
+const ESTIMATED_CONCURRENT_SESSIONS = Math.ceil(
+  PEAK_STAGE_TARGET / parseDurationSeconds(ARRIVAL_TIME_UNIT) * parseDurationSeconds(EXPECTED_SESSION_DURATION)
+);
+const PRE_ALLOCATED_VUS = getConfig('loadTest.preAllocatedVUs', Math.max(1, ESTIMATED_CONCURRENT_SESSIONS));
+const MAX_VUS = getConfig('loadTest.maxVUs', Math.max(PRE_ALLOCATED_VUS, ESTIMATED_CONCURRENT_SESSIONS * 3));
+
+const PEAK_VUS = EXECUTION_MODE === 'open' ? MAX_VUS : PEAK_STAGE_TARGET;
+
+// The smoke profile's single VU (or session per time unit) runs from the start instead of ramping in
+const START_TARGET = LOAD_PROFILE === 'smoke' ? 1 : 0;
+
+// Storefront traffic scenario
+const STOREFRONT_SCENARIO = EXECUTION_MODE === 'open'
+  ? {
+    executor: 'ramping-arrival-rate',
+    startRate: START_TARGET,
+    timeUnit: ARRIVAL_TIME_UNIT,
+    preAllocatedVUs: PRE_ALLOCATED_VUS,
+    maxVUs: MAX_VUS,
+    stages: LOAD_STAGES,
+  }
+  : {
+    executor: 'ramping-vus',
+    startVUs: START_TARGET,
+    stages: LOAD_STAGES,
+  };
+
 // HTTP timeout configuration
 const HTTP_TIMEOUT = getConfig('performance.httpTimeout', '60s');
 
+// Built-in threshold defaults for profiles that need different pass criteria
+const PROFILE_THRESHOLD_DEFAULTS = {
+  smoke: { httpErrorThreshold: 0.01 }, // A single VU should see practically no errors
+};
+
+// Helper to read a threshold: profileThresholds.<profile>.* → built-in profile default → performance.*
+function getThresholdConfig(setting, defaultValue) {
+  const profileDefaults = PROFILE_THRESHOLD_DEFAULTS[LOAD_PROFILE] || {};
+  const fallback = setting in profileDefaults ? profileDefaults[setting] : getConfig(`performance.${setting}`, defaultValue);
+  return getConfig(`profileThresholds.${LOAD_PROFILE}.${setting}`, fallback);
+}
+
 // Performance thresholds
-const HTTP_ERROR_THRESHOLD = getConfig('performance.httpErrorThreshold', 0.25);
-const HTTP_DURATION_THRESHOLD = getConfig('performance.httpDurationThreshold', 60000);
-const HOMEPAGE_DURATION_THRESHOLD = getConfig('performance.homepageDurationThreshold', 45000);
-const PRODUCT_DURATION_THRESHOLD = getConfig('performance.productDurationThreshold', 50000);
-const CATEGORY_DURATION_THRESHOLD = getConfig('performance.categoryDurationThreshold', 50000);
-const SEARCH_DURATION_THRESHOLD = getConfig('performance.searchDurationThreshold', 45000);
-const CART_DURATION_THRESHOLD = getConfig('performance.cartDurationThreshold', 45000);
+const HTTP_ERROR_THRESHOLD = getThresholdConfig('httpErrorThreshold', 0.25);
+const HTTP_DURATION_THRESHOLD = getThresholdConfig('httpDurationThreshold', 60000);
+const HOMEPAGE_DURATION_THRESHOLD = getThresholdConfig('homepageDurationThreshold', 45000);
+const PRODUCT_DURATION_THRESHOLD = getThresholdConfig('productDurationThreshold', 50000);
+const CATEGORY_DURATION_THRESHOLD = getThresholdConfig('categoryDurationThreshold', 50000);
+const SEARCH_DURATION_THRESHOLD = getThresholdConfig('searchDurationThreshold', 45000);
+const CART_DURATION_THRESHOLD = getThresholdConfig('cartDurationThreshold', 45000);
+const DROPPED_ITERATIONS_THRESHOLD = getConfig('performance.droppedIterationsThreshold', 0);
+
+// Breakpoint tests stop as soon as the storefront can no longer meet the global thresholds
+function globalThreshold(expression) {
+  return LOAD_PROFILE === 'breakpoint' ? { threshold: expression, abortOnFail: true, delayAbortEval: '30s' } : expression;
+}
 
 // User behavior simulation
 const MIN_THINK_TIME = getConfig('userBehavior.minThinkTime', 1);
@@ -175,6 +771,7 @@ const CART_JOURNEY_PERCENTAGE = getConfig('userBehavior.cartJourneyPercentage',
 const WINDOW_SHOPPING_PERCENTAGE = getConfig('userBehavior.windowShoppingPercentage', 0.05);
 const QUICK_BUYER_PERCENTAGE = getConfig('userBehavior.quickBuyerPercentage', 0.05);
 const COMPREHENSIVE_SHOPPING_PERCENTAGE = getConfig('userBehavior.comprehensiveShoppingPercentage', 0.2);
+const HEADLESS_JOURNEY_PERCENTAGE = getConfig('userBehavior.headlessJourneyPercentage', 0);
 
 // Enhanced e-commerce flow parameters
 const MAX_CATEGORIES_PER_SESSION = getConfig('ecommerceFlow.maxCategoriesPerSession', 3);
@@ -209,6 +806,58 @@ const ENABLE_DEEP_CRAWLING = getConfig('urlDiscovery.enableDeepCrawling', false)
 const MAX_CRAWL_DEPTH = getConfig('urlDiscovery.maxCrawlDepth', 1);
 const VALIDATE_URLS_BEFORE_USE = getConfig('urlDiscovery.validateUrlsBeforeUse', false);
 
+// Sitemap discovery configuration
+const ENABLE_SITEMAP_DISCOVERY = getConfig('urlDiscovery.enableSitemapDiscovery', false);
+const SITEMAP_PATH = getConfig('urlDiscovery.sitemapPath', '/sitemap.xml');
+const SITEMAP_SAMPLING = getConfig('urlDiscovery.sitemapSampling', 'stratified'); // stratified or priority
+const MAX_SITEMAP_FILES = getConfig('urlDiscovery.maxSitemapFiles', 20);
+const MAX_CMS_PAGES = getConfig('urlDiscovery.maxCmsPages', 20);
+// Must match the store's XML Sitemap priorities (Magento defaults shown)
+const SITEMAP_PRIORITIES = {
+  product: getConfig('urlDiscovery.productPriority', 1.0),
+  category: getConfig('urlDiscovery.categoryPriority', 0.5),
+  cms: getConfig('urlDiscovery.cmsPriority', 0.25),
+};
+const SETUP_TIMEOUT = getConfig('urlDiscovery.setupTimeout', ENABLE_SITEMAP_DISCOVERY ? '2m' : '30s');
+
+// Report files written by handleSummary() at the end of the test. k6 doesn't create directories,
+// so by default they go to the working directory.
+const REPORT_OUTPUT_DIR = __ENV.REPORT_OUTPUT_DIR || getConfig('reporting.outputDir', '');
+const ENABLE_JSON_REPORT = getConfig('reporting.jsonReport', true);
+const ENABLE_HTML_REPORT = getConfig('reporting.htmlReport', true);
+const ENABLE_JUNIT_REPORT = getConfig('reporting.junitReport', true);
+
+// Baseline comparison against a previous run's summary.json
+const BASELINE_FILE = __ENV.BASELINE_FILE || getConfig('baseline.file', '');
+const BASELINE_STAT = getConfig('baseline.stat', 'p(95)');
+const BASELINE_DURATION_TOLERANCE = getConfig('baseline.durationTolerance', 0.1); // Allowed slowdown (0.1 = 10%)
+const BASELINE_MIN_DURATION_DELTA = getConfig('baseline.minDurationDelta', 50); // Slowdowns below this many ms are noise
+const BASELINE_ERROR_RATE_TOLERANCE = getConfig('baseline.errorRateTolerance', 0.01); // Allowed rate change (0.01 = 1 point)
+const BASELINE_FAIL_ON_REGRESSION = getConfig('baseline.failOnRegression', false);
+
+// Metrics compared against the baseline: k6's own, plus every custom Trend and Rate, which are
+// declared through comparedTrend() and comparedRate() so the comparison can't miss one.
+// k6's HTTP metrics are the storefront submetrics the global thresholds use.
+const BASELINE_TRENDS = ['http_req_duration{scenario:storefront}'];
+
+// Rates and which direction is a regression
+const BASELINE_RATES = {
+  'http_req_failed{scenario:storefront}': 'higher',
+  checks: 'lower',
+};
+
+// Declare a time Trend that is compared against the baseline
+function comparedTrend(name) {
+  BASELINE_TRENDS.push(name);
+  return new Trend(name, true);
+}
+
+// Declare a Rate that is compared against the baseline; `regression` is the direction that is worse
+function comparedRate(name, regression) {
+  BASELINE_RATES[name] = regression;
+  return new Rate(name);
+}
+
 // Real URLs from configuration (with proper array handling)
 const FALLBACK_CATEGORY_SLUGS = Array.isArray(getConfig('realUrls.fallbackCategorySlugs', null)) 
   ? getConfig('realUrls.fallbackCategorySlugs', null)
@@ -238,16 +887,24 @@ const DEFAULT_SEARCH_TERM = 'shirt';
 const CART_PAGE_PATH = getConfig('paths.cartPagePath', '/checkout/cart/');
 const CHECKOUT_PAGE_PATH = getConfig('paths.checkoutPagePath', '/checkout/onepage/');
 const ADD_TO_CART_PATH = getConfig('paths.addToCartPath', '/checkout/cart/add/');
+const CART_UPDATE_PATH = getConfig('paths.cartUpdatePath', '/checkout/cart/updatePost/');
+const CART_DELETE_PATH = getConfig('paths.cartDeletePath', '/checkout/cart/delete/');
+const COUPON_POST_PATH = getConfig('paths.couponPostPath', '/checkout/cart/couponPost/');
 const SEARCH_RESULT_PATH_TEMPLATE = getConfig('paths.searchResultPathTemplate', '/catalogsearch/result/?q={q}');
 const GRAPHQL_PATH = getConfig('paths.graphqlPath', '/graphql');
+const CHECKOUT_SUCCESS_PATH = getConfig('paths.checkoutSuccessPath', '/checkout/onepage/success/');
 
 // Customer account paths
 const CUSTOMER_ACCOUNT_PATH = getConfig('paths.customerAccountPath', '/customer/account/');
 const CUSTOMER_LOGIN_PATH = getConfig('paths.customerLoginPath', '/customer/account/login/');
 const CUSTOMER_REGISTER_PATH = getConfig('paths.customerRegisterPath', '/customer/account/create/');
+const CUSTOMER_REGISTER_POST_PATH = '/customer/account/createpost/';
 const CUSTOMER_DASHBOARD_PATH = getConfig('paths.customerDashboardPath', '/customer/account/index/');
 const ORDER_HISTORY_PATH = getConfig('paths.orderHistoryPath', '/sales/order/history/');
 const ADDRESS_BOOK_PATH = getConfig('paths.addressBookPath', '/customer/address/');
+const CUSTOMER_LOGIN_POST_PATH = getConfig('paths.customerLoginPostPath', '/customer/account/loginPost/');
+const CUSTOMER_LOGOUT_PATH = getConfig('paths.customerLogoutPath', '/customer/account/logout/');
+const CUSTOMER_SECTION_LOAD_PATH = getConfig('paths.customerSectionLoadPath', '/customer/section/load/');
 
 // Customer account configuration
 const CUSTOMER_REGISTRATION_RATE = getConfig('customerAccounts.registrationRate', 0.1);
@@ -258,11 +915,94 @@ const ORDER_HISTORY_CHECK_RATE = getConfig('customerAccounts.orderHistoryCheckRa
 const ADDRESS_BOOK_ACCESS_RATE = getConfig('customerAccounts.addressBookAccessRate', 0.4);
 const ACCOUNT_INFO_UPDATE_RATE = getConfig('customerAccounts.accountInfoUpdateRate', 0.2);
 
+// Pre-seeded customer pool: CSV with an "email,password" header row, or a JSON array of
+// { email, password } objects. Path is relative to this script.
+const CUSTOMER_POOL_FILE = __ENV.CUSTOMER_POOL_FILE || getConfig('customerAccounts.customerPoolFile', '');
+const CUSTOMER_LOGIN_RATE = getConfig('customerAccounts.loginRate', 0.3);
+const CUSTOMER_LOGOUT_RATE = getConfig('customerAccounts.logoutRate', 0.3);
+
+const CUSTOMER_POOL = CUSTOMER_POOL_FILE ? new SharedArray('customer pool', function () {
+  const content = open(CUSTOMER_POOL_FILE);
+  const rows = CUSTOMER_POOL_FILE.toLowerCase().endsWith('.json')
+    ? JSON.parse(content)
+    : papaparse.parse(content, { header: true, skipEmptyLines: true }).data;
+  return rows.filter(row => row && row.email && row.password);
+}) : [];
+
+// Order placement configuration
+const ORDER_PLACEMENT_RATE = getConfig('checkout.orderPlacementRate', 0.2); // Share of checkout visits that place an order
+const CHECKOUT_PAYMENT_METHOD = getConfig('checkout.paymentMethod', 'checkmo'); // Offline method: checkmo or free
+const CHECKOUT_SHIPPING_METHOD = getConfig('checkout.shippingMethod', ''); // "carrier_method", empty = first available
+const CHECKOUT_ADDRESS = {
+  firstname: 'LoadTest',
+  lastname: 'Customer',
+  street: [getConfig('checkout.street', '123 Load Test Street')],
+  city: getConfig('checkout.city', 'Austin'),
+  region: getConfig('checkout.region', 'Texas'),
+  region_id: getConfig('checkout.regionId', 57),
+  postcode: getConfig('checkout.postcode', '78701'),
+  country_id: getConfig('checkout.countryId', 'US'),
+  telephone: getConfig('checkout.telephone', '5125550100'),
+};
+
 // AJAX endpoints
 const AJAX_ADD_TO_CART_PATH = getConfig('paths.ajaxAddToCartPath', '/checkout/cart/add/uenc/');
 const AJAX_WISHLIST_PATH = getConfig('paths.ajaxWishlistPath', '/wishlist/index/add/');
 const AJAX_COMPARE_ADD_PATH = getConfig('paths.ajaxCompareAddPath', '/catalog/product_compare/add/');
 
+// Wishlist and product comparison
+const WISHLIST_PATH = getConfig('paths.wishlistPath', '/wishlist/');
+const WISHLIST_MOVE_TO_CART_PATH = getConfig('paths.wishlistMoveToCartPath', '/wishlist/index/cart/');
+const WISHLIST_REMOVE_PATH = getConfig('paths.wishlistRemovePath', '/wishlist/index/remove/');
+const COMPARE_PRODUCTS_PATH = getConfig('paths.comparePath', '/catalog/product_compare/');
+const COMPARE_CLEAR_PATH = getConfig('paths.compareClearPath', '/catalog/product_compare/clear/');
+const WISHLIST_MOVE_TO_CART_RATE = getConfig('wishlist.moveToCartRate', 0.4); // Move a wishlist item to the cart
+const WISHLIST_REMOVE_RATE = getConfig('wishlist.removeRate', 0.3); // Remove a wishlist item
+const COMPARE_MIN_PRODUCTS = getConfig('productComparison.minProducts', 2); // Viewed products added to compare
+const COMPARE_MAX_PRODUCTS = getConfig('productComparison.maxProducts', 4);
+const COMPARE_CLEAR_RATE = getConfig('productComparison.clearRate', 0.5); // Clear the compare list afterwards
+const WISHLIST_ACTIONS = ['add', 'view', 'move_to_cart', 'remove'];
+const COMPARE_ACTIONS = ['add', 'view', 'clear'];
+
+// Coupons applied in the cart, each with the outcome it should have. Weights are relative.
+const COUPON_CODES = getConfig('coupons.codes', [
+  { code: 'SAVE10', expected: 'invalid' },
+  { code: 'WELCOME', expected: 'invalid' },
+  { code: 'FIRST20', expected: 'invalid' },
+  { code: 'DISCOUNT', expected: 'invalid' },
+  { code: 'SALE', expected: 'invalid' },
+]).map(coupon => ({ weight: 1, ...coupon }));
+
+// Generated coupon codes (Marketing > Cart Price Rules > Manage Coupon Codes export): CSV with a
+// "code" or "Coupon Code" header and an optional "expected" column (valid by default), or a JSON
+// array of { code, expected } objects. Path is relative to this script.
+const COUPON_CODES_FILE = __ENV.COUPON_CODES_FILE || getConfig('coupons.codesFile', '');
+const COUPON_GENERATED_CODE_RATE = getConfig('coupons.generatedCodeRate', 0.5); // Applications that use a generated code
+const COUPON_REMOVE_RATE = getConfig('coupons.removeRate', 0.3); // Remove an accepted coupon again
+
+const GENERATED_COUPON_CODES = COUPON_CODES_FILE ? new SharedArray('generated coupon codes', function () {
+  const content = open(COUPON_CODES_FILE);
+  const rows = COUPON_CODES_FILE.toLowerCase().endsWith('.json')
+    ? JSON.parse(content)
+    : papaparse.parse(content, {
+      header: true,
+      skipEmptyLines: true,
+      // Magento's export names the column "Coupon Code"
+      transformHeader: header => header.trim().toLowerCase().replace(/^coupon code$/, 'code'),
+    }).data;
+  const codes = rows
+    .filter(row => row && row.code)
+    .map(row => ({ code: String(row.code).trim(), expected: row.expected === 'invalid' ? 'invalid' : 'valid' }));
+  if (codes.length === 0) {
+    throw new Error(`coupons.codesFile ${COUPON_CODES_FILE} has no coupon codes (expected a "code" or "Coupon Code" column)`);
+  }
+  return codes;
+}) : [];
+
+// Outcome of a coupon application, the `outcome` tag of the coupon metrics. `unknown` means
+// Magento answered without a coupon message.
+const COUPON_OUTCOMES = [...COUPON_EXPECTED_OUTCOMES, 'unknown'];
+
 // Traffic distribution configuration - granular control over all areas
 const TRAFFIC_HOMEPAGE = getConfig('trafficDistribution.homepage', 0.95);
 const TRAFFIC_CATEGORY_PAGES = getConfig('trafficDistribution.categoryPages', 0.85);
@@ -287,17 +1027,190 @@ const ENABLE_API_LOAD = getConfig('api.enableApiLoad', true);
 const ENABLE_GRAPHQL_LOAD = getConfig('api.enableGraphqlLoad', true);
 const ENABLE_REST_LOAD = getConfig('api.enableRestLoad', true);
 const GRAPHQL_SEARCH_PAGE_SIZE = getConfig('api.graphqlSearchPageSize', 5);
+const GRAPHQL_ROUTE_QUERY = getConfig('api.graphqlRouteQuery', 'route'); // "route" (2.4.3+) or "urlResolver"
+
+// Integration API traffic - authenticated back-office REST calls (ERP, PIM, OMS) run as
+// their own scenario alongside the storefront
+const INTEGRATION_API_ENABLED = getConfig('integrationApi.enabled', false);
+const INTEGRATION_ACCESS_TOKEN = __ENV.INTEGRATION_ACCESS_TOKEN || getConfig('integrationApi.accessToken', '');
+const INTEGRATION_ADMIN_USERNAME = __ENV.MAGENTO_ADMIN_USERNAME || getConfig('integrationApi.adminUsername', '');
+const INTEGRATION_ADMIN_PASSWORD = __ENV.MAGENTO_ADMIN_PASSWORD || getConfig('integrationApi.adminPassword', '');
+const INTEGRATION_STORE_CODE = getConfig('integrationApi.storeCode', 'all'); // "all" = global scope
+const INTEGRATION_RATE = getConfig('integrationApi.rate', 5); // Requests per timeUnit
+const INTEGRATION_TIME_UNIT = getConfig('integrationApi.timeUnit', '1s');
+const INTEGRATION_STAGES = getConfig('integrationApi.stages', null); // Targets are requests per timeUnit
+const INTEGRATION_START_TIME = getConfig('integrationApi.startTime', '0s');
+const INTEGRATION_SKUS = getConfig('integrationApi.skus', []); // Empty = sampled from /V1/products in setup
+const INTEGRATION_SKU_SAMPLE_SIZE = getConfig('integrationApi.skuSampleSize', 100);
+const INTEGRATION_SOURCE_CODE = getConfig('integrationApi.sourceCode', 'default'); // MSI source for stock updates
+const INTEGRATION_MAX_PAGE = getConfig('integrationApi.maxPage', 10); // {{page}} is picked from 1..maxPage
+
+if (INTEGRATION_API_ENABLED && !INTEGRATION_ACCESS_TOKEN && !(INTEGRATION_ADMIN_USERNAME && INTEGRATION_ADMIN_PASSWORD)) {
+  throw new Error('integrationApi.enabled requires integrationApi.accessToken (or INTEGRATION_ACCESS_TOKEN), or an admin username and password');
+}
+
+// Operations of typical ERP/PIM/OMS integrations
+const DEFAULT_INTEGRATION_OPERATIONS = [
+  { name: 'product_search', method: 'GET', path: '/V1/products?searchCriteria[pageSize]=50&searchCriteria[currentPage]={{page}}', weight: 0.3 },
+  { name: 'product_get', method: 'GET', path: '/V1/products/{{sku}}', weight: 0.2 },
+  {
+    name: 'order_search',
+    method: 'GET',
+    path: '/V1/orders?searchCriteria[filter_groups][0][filters][0][field]=created_at&searchCriteria[filter_groups][0][filters][0][value]={{since}}' +
+      '&searchCriteria[filter_groups][0][filters][0][condition_type]=gteq&searchCriteria[pageSize]=50',
+    weight: 0.2,
+  },
+  {
+    name: 'stock_update',
+    method: 'POST',
+    path: '/V1/inventory/source-items',
+    weight: 0.2,
+    body: { sourceItems: [{ sku: '{{sku}}', source_code: '{{sourceCode}}', quantity: '{{quantity}}', status: 1 }] },
+  },
+  {
+    name: 'price_update',
+    method: 'POST',
+    path: '/V1/products/base-prices',
+    weight: 0.1,
+    body: { prices: [{ sku: '{{sku}}', price: '{{price}}', store_id: 0 }] },
+  },
+];
+const INTEGRATION_OPERATIONS = getConfig('integrationApi.operations', DEFAULT_INTEGRATION_OPERATIONS);
+
+// Length of the storefront scenario, the default for the scenarios that run alongside it
+const STOREFRONT_DURATION = `${LOAD_STAGES.reduce((total, stage) => total + parseDurationSeconds(stage.duration), 0)}s`;
+
+// Integration API scenario: a constant request rate, or integrationApi.stages for bursts.
+// Runs for the whole storefront test unless integrationApi.duration is set.
+const INTEGRATION_DURATION = getConfig('integrationApi.duration', STOREFRONT_DURATION);
+const INTEGRATION_PEAK_RATE = INTEGRATION_STAGES ? Math.max(...INTEGRATION_STAGES.map(stage => stage.target)) : INTEGRATION_RATE;
+const INTEGRATION_PRE_ALLOCATED_VUS = getConfig('integrationApi.preAllocatedVUs', Math.max(1, INTEGRATION_PEAK_RATE));
+const INTEGRATION_MAX_VUS = getConfig('integrationApi.maxVUs', Math.max(INTEGRATION_PRE_ALLOCATED_VUS, INTEGRATION_PEAK_RATE * 3));
+
+const INTEGRATION_API_SCENARIO = {
+  exec: 'integrationApiTraffic',
+  startTime: INTEGRATION_START_TIME,
+  timeUnit: INTEGRATION_TIME_UNIT,
+  preAllocatedVUs: INTEGRATION_PRE_ALLOCATED_VUS,
+  maxVUs: INTEGRATION_MAX_VUS,
+  ...(INTEGRATION_STAGES
+    ? { executor: 'ramping-arrival-rate', startRate: 0, stages: INTEGRATION_STAGES }
+    : { executor: 'constant-arrival-rate', rate: INTEGRATION_RATE, duration: INTEGRATION_DURATION }),
+};
+
+// Admin panel scenario - a few merchandisers browsing grids and saving products. Admin saves
+// trigger reindexing and cache invalidation, which is the point of mixing them with storefront load.
+const ADMIN_PANEL_ENABLED = getConfig('adminPanel.enabled', false);
+const ADMIN_PATH = `/${(__ENV.MAGENTO_ADMIN_PATH || getConfig('adminPanel.path', '/admin')).replace(/^\/+|\/+$/g, '')}`;
+const ADMIN_USERNAME = __ENV.MAGENTO_ADMIN_USERNAME || getConfig('adminPanel.username', '');
+const ADMIN_PASSWORD = __ENV.MAGENTO_ADMIN_PASSWORD || getConfig('adminPanel.password', '');
+const ADMIN_MIN_THINK_TIME = getConfig('adminPanel.minThinkTime', 3);
+const ADMIN_MAX_THINK_TIME = getConfig('adminPanel.maxThinkTime', 10);
+const ADMIN_GRID_PAGE_SIZE = getConfig('adminPanel.gridPageSize', 20);
+const ADMIN_SEARCH_TERMS = getConfig('adminPanel.searchTerms', ['shirt', 'bag', 'jacket', 'pants', 'watch']);
+const ADMIN_DURATION_THRESHOLD = getConfig('adminPanel.durationThreshold', 30000);
+const ADMIN_ERROR_THRESHOLD = getConfig('adminPanel.errorThreshold', 0.1);
+
+// Merchandiser actions and their share of admin iterations
+const ADMIN_ACTION_WEIGHTS = {
+  product_grid: getConfig('adminPanel.actions.productGrid', 0.3),
+  order_grid: getConfig('adminPanel.actions.orderGrid', 0.25),
+  customer_grid: getConfig('adminPanel.actions.customerGrid', 0.15),
+  product_save: getConfig('adminPanel.actions.productSave', 0.15),
+  order_view: getConfig('adminPanel.actions.orderView', 0.15),
+};
+
+if (ADMIN_PANEL_ENABLED && !(ADMIN_USERNAME && ADMIN_PASSWORD)) {
+  throw new Error('adminPanel.enabled requires adminPanel.username and adminPanel.password (or MAGENTO_ADMIN_USERNAME and MAGENTO_ADMIN_PASSWORD)');
+}
+if (ADMIN_PANEL_ENABLED && Object.values(ADMIN_ACTION_WEIGHTS).every(weight => weight <= 0)) {
+  throw new Error('At least one adminPanel.actions.* weight must be greater than 0');
+}
+
+// Admin requests, tagged `request` in the admin metrics and named `admin:<request>`
+const ADMIN_REQUESTS = [
+  'login_page', 'login', 'product_grid', 'product_grid_data', 'order_grid', 'order_grid_data',
+  'customer_grid', 'customer_grid_data', 'product_edit', 'product_save', 'order_view',
+];
+
+const ADMIN_PANEL_SCENARIO = {
+  executor: 'constant-vus',
+  exec: 'adminPanelSession',
+  vus: getConfig('adminPanel.vus', 1),
+  startTime: getConfig('adminPanel.startTime', '0s'),
+  duration: getConfig('adminPanel.duration', STOREFRONT_DURATION),
+};
+
+// Store views under test; without a `stores` list the test runs against MAGENTO_URL's default store view.
+// Each entry's base URL may be its own domain or a path prefix (https://example.com/fr).
+const STORES = (getConfig('stores', null) || [{ code: 'default' }]).map(store => ({
+  code: store.code,
+  baseUrl: (store.baseUrl || BASE_URL).replace(/\/+$/, ''),
+  acceptLanguage: store.acceptLanguage || ACCEPT_LANGUAGE,
+  currency: store.currency || null, // Sent to GraphQL as Content-Currency
+  weight: typeof store.weight === 'number' ? store.weight : 1,
+  sitemapPath: store.sitemapPath || null, // Defaults to urlDiscovery.sitemapPath
+  products: store.products || null, // URL lists replace the discovered ones for this store
+  categories: store.categories || null,
+  searchTerms: store.searchTerms || null,
+  cmsPages: store.cmsPages || null,
+}));
+
+if (STORES.every(store => store.weight <= 0)) {
+  throw new Error('At least one stores[].weight must be greater than 0');
+}
+
+// Store view of the current session. A VU runs one iteration at a time, so every
+// request between selectStore() calls belongs to the same store.
+let currentStore = STORES[0];
 
-// REST config
-const REST_STORE_CODE = 'default';
-const REST_API_PREFIX = `/rest/${REST_STORE_CODE}/V1`;
-const REST_ENDPOINTS_BROWSE = [`${REST_API_PREFIX}/store/storeViews`];
-const REST_ENDPOINTS_CART = [`${REST_API_PREFIX}/directory/countries`];
+// REST API prefix for the current store view
+function restApiPrefix() {
+  return `/rest/${currentStore.code}/V1`;
+}
+
+// Origin (scheme and host) of the current store view, for resolving root-relative links
+function storeOrigin() {
+  return currentStore.baseUrl.match(/^https?:\/\/[^/]+/)[0];
+}
 
 // Cache bypass configuration
 const CACHE_BYPASS_PERCENTAGE = getConfig('cache.cacheBypassPercentage', 0.3);
 const ENABLE_CACHE_BYPASS = getConfig('cache.enableCacheBypass', true);
 
+// How bypassed requests avoid the cache:
+// query   - a unique query-string parameter, so every request has its own cache key
+// headers - no-cache request headers (ignored by the default Varnish and Fastly configs)
+// header  - a secret request header that the VCL passes to the origin
+// cookie  - a secret cookie that the VCL passes to the origin
+// vary    - a random X-Magento-Vary cookie, which Magento's VCL adds to the cache key
+const CACHE_BYPASS_STRATEGY = getConfig('cache.bypassStrategy', 'query');
+const CACHE_BYPASS_QUERY_PARAM = getConfig('cache.bypassQueryParam', 'nocache');
+const CACHE_BYPASS_HEADER_NAME = getConfig('cache.bypassHeaderName', 'X-Load-Test-Bypass');
+const CACHE_BYPASS_COOKIE_NAME = getConfig('cache.bypassCookieName', 'load_test_bypass');
+const CACHE_BYPASS_SECRET = __ENV.CACHE_BYPASS_SECRET || getConfig('cache.bypassSecret', '');
+
+if (ENABLE_CACHE_BYPASS && (CACHE_BYPASS_STRATEGY === 'header' || CACHE_BYPASS_STRATEGY === 'cookie') && !CACHE_BYPASS_SECRET) {
+  throw new Error(`cache.bypassStrategy "${CACHE_BYPASS_STRATEGY}" requires cache.bypassSecret or the CACHE_BYPASS_SECRET environment variable`);
+}
+
+// Bypass share per page type; other pages use cache.cacheBypassPercentage
+const CACHE_BYPASS_PERCENTAGES = {
+  homepage: getConfig('cache.bypassPercentages.homepage', CACHE_BYPASS_PERCENTAGE),
+  category: getConfig('cache.bypassPercentages.category', CACHE_BYPASS_PERCENTAGE),
+  product: getConfig('cache.bypassPercentages.product', CACHE_BYPASS_PERCENTAGE),
+  search: getConfig('cache.bypassPercentages.search', CACHE_BYPASS_PERCENTAGE),
+  cms: getConfig('cache.bypassPercentages.cms', CACHE_BYPASS_PERCENTAGE),
+};
+
+// visitPage() page types that map onto a bypass page type
+const CACHE_BYPASS_PAGE_TYPE_ALIASES = {
+  pagination: 'category',
+  related_product: 'product',
+  cms_page: 'cms',
+  filtered_category: 'category',
+};
+
 // Realistic browsing patterns configuration
 const MAX_BROWSING_ACTIONS = getConfig('browsingPatterns.maxBrowsingActions', 12);
 const MIN_BROWSING_ACTIONS = getConfig('browsingPatterns.minBrowsingActions', 5);
@@ -310,71 +1223,768 @@ const DISTRACTION_RATE = getConfig('browsingPatterns.distractionRate', 0.15);
 const COMPARISON_SHOPPING_RATE = getConfig('browsingPatterns.comparisonShoppingRate', 0.4);
 const IMPULSE_BUYING_RATE = getConfig('browsingPatterns.impulseBuyingRate', 0.25);
 
+// Layered navigation - trafficDistribution.layeredNavigation is the share of category visits that refine the listing
+const LAYERED_NAV_MAX_FILTERS = getConfig('layeredNavigation.maxFilters', 3); // Filters stacked per refinement
+const LAYERED_NAV_SORT_RATE = getConfig('layeredNavigation.sortRate', 0.3); // Change the sort order
+const LAYERED_NAV_DIRECTION_RATE = getConfig('layeredNavigation.directionRate', 0.15); // Flip the sort direction
+const LAYERED_NAV_LIMIT_RATE = getConfig('layeredNavigation.limitRate', 0.1); // Change the page size
+const LAYERED_NAV_MODE_RATE = getConfig('layeredNavigation.modeRate', 0.1); // Switch grid/list view
+const LAYERED_NAV_REMOVE_FILTER_RATE = getConfig('layeredNavigation.removeFilterRate', 0.4); // Remove a filter again
+
+// Static and media assets - trafficDistribution.mediaRequests is the share of page views that load them
+const ASSET_MAX_PER_PAGE = getConfig('assets.maxPerPage', 60); // Assets requested per page view
+const ASSET_HOSTS = getConfig('assets.hosts', []).map(host => host.toLowerCase()); // Hosts besides the store's serving /static/ or /media/
+
+// Private content - the customer/section/load requests customer-data.js sends after a page renders
+const PRIVATE_CONTENT_ENABLED = getConfig('privateContent.enabled', true);
+
 // =============================================================================
 
 // Import additional metrics
 import { Counter, Rate } from 'k6/metrics';
 
 // Custom trends to measure performance of specific pages
-const productPageTrend = new Trend('product_page_duration', true);
-const categoryPageTrend = new Trend('category_page_duration', true);
-const homepageTrend = new Trend('homepage_duration', true);
-const searchTrend = new Trend('search_duration', true);
-const cartTrend = new Trend('cart_duration', true);
-const addToCartTrend = new Trend('add_to_cart_duration', true);
-const checkoutTrend = new Trend('checkout_duration', true);
-const graphqlTrend = new Trend('graphql_duration', true);
-const restTrend = new Trend('rest_duration', true);
-
-// (Optional metrics removed for now to keep script lean)
+const productPageTrend = comparedTrend('product_page_duration');
+const categoryPageTrend = comparedTrend('category_page_duration');
+const homepageTrend = comparedTrend('homepage_duration');
+const searchTrend = comparedTrend('search_duration');
+const cartTrend = comparedTrend('cart_duration');
+const addToCartTrend = comparedTrend('add_to_cart_duration');
+const addToCartSuccessRate = comparedRate('add_to_cart_success', 'lower'); // Tagged with `product_type` (one of PRODUCT_TYPES)
+const cartMismatchRate = comparedRate('cart_state_mismatch', 'higher'); // Tagged with `action` (one of CART_ACTIONS)
+const couponTrend = comparedTrend('coupon_duration'); // Tagged with `action` (apply or remove); applies also with `outcome`
+const couponApplicationsCounter = new Counter('coupon_applications'); // Tagged with `outcome` (one of COUPON_OUTCOMES)
+const couponExpectedOutcomeRate = comparedRate('coupon_expected_outcome', 'lower'); // Tagged with the `expected` outcome
+const checkoutTrend = comparedTrend('checkout_duration');
+const orderPlacementTrend = comparedTrend('order_placement_duration');
+const graphqlTrend = comparedTrend('graphql_duration');
+const graphqlOperationTrend = comparedTrend('graphql_operation_duration'); // Tagged with `operation`
+const restTrend = comparedTrend('rest_duration');
 
-export const options = {
-  setupTimeout: '30s', // Shorter setup timeout - don't wait too long
-  stages: [
-    { duration: RAMP_UP_DURATION, target: VIRTUAL_USERS }, // Ramp-up phase
-    { duration: SUSTAINED_DURATION, target: VIRTUAL_USERS }, // Sustained load phase
-    { duration: RAMP_DOWN_DURATION, target: 0 }, // Ramp-down phase
-  ],
-  thresholds: {
-    'http_req_failed': [`rate<${HTTP_ERROR_THRESHOLD}`], // HTTP error threshold
-    'http_req_duration': [`p(95)<${HTTP_DURATION_THRESHOLD}`], // HTTP request duration threshold
-    'product_page_duration': [`p(95)<${PRODUCT_DURATION_THRESHOLD}`], // Product page threshold
-    'category_page_duration': [`p(95)<${CATEGORY_DURATION_THRESHOLD}`], // Category page threshold
-    'homepage_duration': [`p(95)<${HOMEPAGE_DURATION_THRESHOLD}`], // Homepage threshold
-    'search_duration': [`p(95)<${SEARCH_DURATION_THRESHOLD}`], // Search threshold
-    'cart_duration': [`p(95)<${CART_DURATION_THRESHOLD}`], // Cart threshold
-    'add_to_cart_duration': [`p(95)<${CART_DURATION_THRESHOLD}`], // Add to cart threshold
-    'checkout_duration': [`p(95)<${CART_DURATION_THRESHOLD}`], // Checkout threshold
-    'graphql_duration': [`p(95)<${HTTP_DURATION_THRESHOLD}`], // GraphQL threshold
-    'rest_duration': [`p(95)<${HTTP_DURATION_THRESHOLD}`], // REST threshold
-  },
-  ext: {
-    loadimpact: {
-      projectID: 3694943,
-      name: `Magento 2 Load Test - ${VIRTUAL_USERS} VUs`
-    }
-  }
+// GraphQL responses carrying an `errors` array (tagged with `operation`)
+const graphqlErrorRate = comparedRate('graphql_errors', 'higher');
+
+// Customer login metrics
+const customerLoginTrend = comparedTrend('customer_login_duration');
+const customerLoginSuccessRate = comparedRate('customer_login_success', 'lower');
+
+// Order placement metrics
+const ordersPlacedCounter = new Counter('orders_placed');
+const orderPlacementSuccessRate = comparedRate('order_placement_success', 'lower');
+
+// Storefront page views (tagged with the `page_type` read from the response)
+const pageViewTrend = comparedTrend('page_view_duration');
+
+// Full-page cache metrics (tagged with `page_type` and `cache_bypass`)
+const fpcHitRate = comparedRate('fpc_hits', 'lower');
+const fpcTtfbTrend = comparedTrend('fpc_ttfb'); // Also tagged with `cache` (hit or miss)
+const cacheBypassEffectiveRate = comparedRate('cache_bypass_effective', 'lower'); // Bypassed requests that missed the cache
+
+// Integration API metrics (tagged with `operation`)
+const integrationApiTrend = comparedTrend('integration_api_duration');
+const integrationApiErrorRate = comparedRate('integration_api_errors', 'higher');
+
+// Admin panel metrics
+const adminRequestTrend = comparedTrend('admin_request_duration'); // Tagged with `request`
+const adminErrorRate = comparedRate('admin_errors', 'higher'); // Tagged with `request`
+const adminActionTrend = comparedTrend('admin_action_duration'); // Tagged with `action`
+
+// Layered navigation refinements (tagged with `action` and the number of active `filters`)
+const layeredNavTrend = comparedTrend('layered_navigation_duration');
+
+// Static and media asset metrics (tagged with `asset_source` and the asset `kind`)
+const staticAssetTrend = comparedTrend('static_asset_duration'); // /static/ view files
+const mediaAssetTrend = comparedTrend('media_asset_duration'); // /media/, asset_source media_resized for catalog image cache
+const assetBytesCounter = new Counter('asset_bytes'); // Body size of the assets downloaded, after decompression
+const assetErrorRate = comparedRate('asset_errors', 'higher');
+const browserCacheHitsCounter = new Counter('browser_cache_hits'); // Assets a session had already downloaded
+
+// Private content section loads (tagged with the `trigger` that caused them)
+const sectionLoadTrend = comparedTrend('section_load_duration');
+const sectionLoadErrorRate = comparedRate('section_load_errors', 'higher');
+
+// Wishlist and product comparison actions (tagged with `action`)
+const wishlistActionTrend = comparedTrend('wishlist_action_duration');
+const wishlistActionSuccessRate = comparedRate('wishlist_action_success', 'lower');
+const compareActionTrend = comparedTrend('compare_action_duration');
+const compareActionSuccessRate = comparedRate('compare_action_success', 'lower');
+
+// Per-journey metrics (tagged with `journey`)
+const journeyIterations = new Counter('journey_iterations');
+const journeyDurationTrend = comparedTrend('journey_duration');
+
+// =============================================================================
+// PAGE CLASSIFICATION
+// =============================================================================
+
+// Magento renders the page's layout handle as a <body> class
+const BODY_CLASS_PAGE_TYPES = {
+  'cms-index-index': 'homepage',
+  'catalog-category-view': 'category',
+  'catalog-product-view': 'product',
+  'catalogsearch-result-index': 'search',
+  'catalogsearch-advanced-result': 'search',
+  'checkout-cart-index': 'cart',
+  'checkout-index-index': 'checkout',
+  'checkout-onepage-success': 'checkout_success',
+  'cms-page-view': 'cms',
+  'customer-account-index': 'customer',
+  'customer-account-login': 'customer',
+  'customer-account-create': 'customer',
+  'customer-address-index': 'customer',
+  'sales-order-history': 'customer',
+  'wishlist-index-index': 'customer',
+  'catalog-product-compare-index': 'compare',
+  'cms-noroute-index': 'not_found',
 };
 
-// The setup function runs once before the test starts.
-// It discovers real URLs from your Magento site with Medium profile data.
-// Helper function to validate if a URL exists
-function validateUrl(url) {
-  if (!VALIDATE_URLS_BEFORE_USE) return true;
-  
-  try {
-    const res = http.get(url, { 
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: '5s'
-    });
-    return res.status >= 200 && res.status < 400;
-  } catch (e) {
-    return false;
+// Every page_type tag value; 'other' covers pages without a known layout handle
+const PAGE_TYPES = [...new Set(Object.values(BODY_CLASS_PAGE_TYPES)), 'other'];
+
+// Page-specific trends fed by the verified page type
+const PAGE_TYPE_TRENDS = {
+  homepage: homepageTrend,
+  category: categoryPageTrend,
+  product: productPageTrend,
+  search: searchTrend,
+  cart: cartTrend,
+  checkout: checkoutTrend,
+};
+
+// Storefront markup that identifies category and product links before they are visited
+const CATEGORY_LINK_SELECTOR = '.navigation a, .category-item a, .subcategories a, .block-category-link a, .widget-category a';
+const PRODUCT_LINK_SELECTOR = 'a.product-item-link, a.product-item-photo, .product-item-info a, .block-product-link a';
+
+// Read a response's page type from the layout handle in its <body> class
+function classifyPage(res) {
+  if (!res || typeof res.body !== 'string') return 'other';
+
+  const bodyTag = res.body.match(/<body\b[^>]*\bclass="([^"]*)"/i);
+  if (!bodyTag) return 'other';
+
+  const handle = bodyTag[1].split(/\s+/).find(cls => BODY_CLASS_PAGE_TYPES[cls]);
+  return handle ? BODY_CLASS_PAGE_TYPES[handle] : 'other';
+}
+
+// Record a page view under its verified type
+function recordPageView(res, pageType) {
+  pageViewTrend.add(res.timings.duration, { page_type: pageType });
+  if (PAGE_TYPE_TRENDS[pageType]) {
+    PAGE_TYPE_TRENDS[pageType].add(res.timings.duration);
   }
 }
 
-// Helper function to crawl a page and extract URLs
-function crawlPage(url, depth = 0) {
+// Map the links on a page to 'category' or 'product' from the markup around them
+function classifyLinks(doc) {
+  const linkTypes = {};
+  const collect = (selector, type) => {
+    doc.find(selector).toArray().forEach(el => {
+      let href = el.attr('href');
+      if (!href) return;
+      if (href.startsWith('/')) href = `${storeOrigin()}${href}`;
+      if (!linkTypes[href]) linkTypes[href] = type;
+    });
+  };
+
+  collect(CATEGORY_LINK_SELECTOR, 'category');
+  collect(PRODUCT_LINK_SELECTOR, 'product');
+  return linkTypes;
+}
+
+// Fetch a URL and return its page type, or null if it doesn't load
+function fetchPageType(url) {
+  try {
+    const res = http.get(url, {
+      headers: { 'User-Agent': USER_AGENT },
+      timeout: '5s',
+      tags: { name: 'setup:validate_url' },
+    });
+    return res.status >= 200 && res.status < 400 ? classifyPage(res) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// =============================================================================
+// LAYERED NAVIGATION
+// =============================================================================
+
+// Query parameters of the category listing toolbar
+const TOOLBAR_PARAMS = {
+  order: 'product_list_order',
+  direction: 'product_list_dir',
+  limit: 'product_list_limit',
+  mode: 'product_list_mode',
+};
+
+// Layered navigation refinement actions, the `action` tag of layered_navigation_duration
+const LAYERED_NAV_ACTIONS = ['filter', 'sort', 'direction', 'limit', 'mode', 'remove_filter', 'clear_filters'];
+
+// Helper to read a URL's query parameters
+function queryParams(url) {
+  const params = {};
+  (url.split('#')[0].split('?')[1] || '').split('&').filter(Boolean).forEach(pair => {
+    const [name, value = ''] = pair.split('=');
+    params[decodeURIComponent(name)] = decodeURIComponent(value.replace(/\+/g, ' '));
+  });
+  return params;
+}
+
+// Helper to drop query parameters from a URL
+function withoutQueryParams(url, names) {
+  const [path, query = ''] = url.split('#')[0].split('?');
+  const pairs = query.split('&').filter(pair => pair && !names.includes(decodeURIComponent(pair.split('=')[0])));
+  return pairs.length > 0 ? `${path}?${pairs.join('&')}` : path;
+}
+
+// Helper to set a toolbar parameter the way the toolbar widget does: any page number is dropped
+function withToolbarParam(url, name, value) {
+  const base = withoutQueryParams(url, [name, 'p']);
+  return `${base}${base.includes('?') ? '&' : '?'}${name}=${encodeURIComponent(value)}`;
+}
+
+// Filter links, active-filter removal links and toolbar options of a category listing, or null
+// when the page has neither. Each filter is { attribute, url }; its attribute is the query
+// parameter the link adds to the listing's URL.
+function parseLayeredNavigation(doc, pageUrl) {
+  // Magento carries the current query into its links, including a cache-bypass value
+  const normalize = href => {
+    if (!href) return null;
+    return withoutQueryParams(href.startsWith('/') ? `${storeOrigin()}${href}` : href, [CACHE_BYPASS_QUERY_PARAM]);
+  };
+  const listingUrl = normalize(pageUrl);
+  const currentParams = queryParams(listingUrl);
+
+  const filters = [];
+  doc.find('.filter-options-content a').toArray().forEach(link => {
+    const url = normalize(link.attr('href'));
+    if (!url || !/^https?:\/\//.test(url) || filters.some(filter => filter.url === url)) return;
+
+    const params = queryParams(url);
+    const attribute = Object.keys(params).find(name => name !== 'p' && params[name] !== currentParams[name]);
+    if (attribute) filters.push({ attribute, url });
+  });
+
+  const removeUrls = [...new Set(doc.find('.filter-current .action.remove').toArray().map(link => normalize(link.attr('href'))).filter(Boolean))];
+  const clearUrl = normalize(doc.find('.filter-actions .filter-clear, .filter-actions .action.clear').first().attr('href')) || null;
+
+  // The toolbar is rendered above and below the product list
+  const values = (selector, attribute) => [...new Set(doc.find(selector).toArray().map(el => el.attr(attribute)).filter(Boolean))];
+  const toolbar = {
+    orders: values('select[data-role="sorter"] option', 'value'),
+    currentOrder: doc.find('select[data-role="sorter"] option[selected]').first().attr('value') || null,
+    nextDirection: doc.find('[data-role="direction-switcher"]').first().attr('data-value') || null,
+    limits: values('select[data-role="limiter"] option', 'value'),
+    currentLimit: doc.find('select[data-role="limiter"] option[selected]').first().attr('value') || null,
+    modes: values('[data-role="mode-switcher"]', 'data-value'),
+    currentMode: doc.find('.modes-mode.active').first().attr('data-value') || null,
+  };
+
+  const hasToolbar = toolbar.orders.length > 0 || toolbar.limits.length > 0 || toolbar.modes.length > 0;
+  if (filters.length === 0 && removeUrls.length === 0 && !hasToolbar) return null;
+  return { url: listingUrl, filters, removeUrls, clearUrl, toolbar };
+}
+
+// URL of one toolbar change on a listing, or null when the listing doesn't offer it
+function toolbarChangeUrl(layeredNav, action) {
+  const { toolbar } = layeredNav;
+  const pick = (options, current) => pickRandom(options.filter(option => option !== current));
+  const value = {
+    sort: () => pick(toolbar.orders, toolbar.currentOrder),
+    direction: () => toolbar.nextDirection,
+    limit: () => pick(toolbar.limits, toolbar.currentLimit),
+    mode: () => pick(toolbar.modes, toolbar.currentMode),
+  }[action]();
+  const param = { sort: TOOLBAR_PARAMS.order, direction: TOOLBAR_PARAMS.direction, limit: TOOLBAR_PARAMS.limit, mode: TOOLBAR_PARAMS.mode }[action];
+  return value ? withToolbarParam(layeredNav.url, param, value) : null;
+}
+
+// =============================================================================
+// STATIC & MEDIA ASSETS
+// =============================================================================
+
+// Where an asset is served from, by URL path: Magento serves view files from /static/ and
+// uploads from /media/, with resized catalog images under /media/catalog/product/cache/
+const ASSET_SOURCES = ['static', 'media', 'media_resized'];
+const ASSET_KINDS = ['style', 'script', 'font', 'image'];
+
+// Accept header a browser sends for each kind of asset
+const ASSET_ACCEPT_HEADERS = {
+  style: 'text/css,*/*;q=0.1',
+  script: '*/*',
+  font: '*/*',
+  image: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+};
+
+// Source of an asset URL, or null for URLs outside /static/ and /media/
+function assetSource(url) {
+  const path = url.replace(/^https?:\/\/[^/]+/, '').split(/[?#]/)[0];
+  if (path.includes('/media/catalog/product/cache/')) return 'media_resized';
+  if (path.includes('/media/')) return 'media';
+  if (path.includes('/static/')) return 'static';
+  return null;
+}
+
+// Candidate a browser picks from a srcset: the smallest on mobile, the largest otherwise
+function pickSrcsetCandidate(srcset, isMobile) {
+  const candidates = srcset.split(',')
+    .map(candidate => {
+      const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+      return { url, size: parseFloat(descriptor) || 1 };
+    })
+    .filter(candidate => candidate.url)
+    .sort((a, b) => a.size - b.size);
+  if (candidates.length === 0) return null;
+  return (isMobile ? candidates[0] : candidates[candidates.length - 1]).url;
+}
+
+// Static and media assets a browser would request for a page, as { url, source, kind } in
+// document order. Only the store's own host and assets.hosts are followed.
+function extractPageAssets(res, isMobile) {
+  const assets = [];
+  const add = (href, kind) => {
+    if (!href || href.startsWith('data:')) return;
+
+    let url = href.trim();
+    if (url.startsWith('//')) url = `https:${url}`;
+    else if (url.startsWith('/')) url = `${storeOrigin()}${url}`;
+    if (!/^https?:\/\//.test(url)) return;
+
+    const [origin, host] = url.match(/^https?:\/\/([^/:]+)(?::\d+)?/);
+    const source = assetSource(url);
+    if (!source || assets.some(asset => asset.url === url)) return;
+    if (origin !== storeOrigin() && !ASSET_HOSTS.includes(host.toLowerCase())) return;
+
+    assets.push({ url, source, kind });
+  };
+
+  const doc = res.html();
+  doc.find('link[rel="stylesheet"]').toArray().forEach(link => add(link.attr('href'), 'style'));
+  doc.find('link[rel="preload"]').toArray().forEach(link => {
+    const kind = link.attr('as');
+    if (ASSET_KINDS.includes(kind)) add(link.attr('href'), kind);
+  });
+  doc.find('script[src]').toArray().forEach(script => add(script.attr('src'), 'script'));
+  doc.find('link[rel="icon"], link[rel="shortcut icon"]').toArray().forEach(link => add(link.attr('href'), 'image'));
+  // An image with a srcset is loaded from one of its candidates instead of src
+  doc.find('img').toArray().forEach(img => {
+    const srcset = img.attr('srcset');
+    add(srcset ? pickSrcsetCandidate(srcset, isMobile) : img.attr('src'), 'image');
+  });
+
+  return limit(assets, ASSET_MAX_PER_PAGE);
+}
+
+// =============================================================================
+// PRIVATE CONTENT
+// =============================================================================
+
+// Why a session loaded private-content sections, the `trigger` tag of section_load_duration:
+// - initial: first page of the session, nothing in local storage yet (all sections)
+// - version_changed: a POST changed the private_content_version cookie since the last load (all sections)
+// - add_to_cart: mini-cart refresh after the AJAX add to cart
+// - login_check: the session checking whether it's logged in, and reading its quote after logging in
+// - coupon, wishlist, compare: reading an action's outcome message when its redirect didn't carry it
+const SECTION_LOAD_TRIGGERS = ['initial', 'version_changed', 'add_to_cart', 'login_check', 'coupon', 'wishlist', 'compare'];
+
+// Sections an AJAX action invalidates, from Magento's etc/frontend/sections.xml
+const ACTION_INVALIDATED_SECTIONS = {
+  add_to_cart: ['cart', 'directory-data', 'messages'],
+};
+
+// Messages ({ type, text }) of a customer/section/load response
+function sectionMessages(body) {
+  try {
+    const sections = JSON.parse(body);
+    return (sections.messages && sections.messages.messages) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Messages ({ type, text }) a redirect hands to the next page in the mage-messages cookie,
+// newest last. The storefront's messages component shows them and deletes the cookie.
+function cookieMessages(res) {
+  const cookie = ((res.cookies || {})['mage-messages'] || [])[0];
+  if (!cookie || !cookie.value) return [];
+  try {
+    const messages = JSON.parse(decodeURIComponent(cookie.value.replace(/\+/g, ' ')));
+    return Array.isArray(messages) ? messages : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// =============================================================================
+// CART STATE
+// =============================================================================
+
+// Cart actions after which the session's cart model is reconciled with the quote, the `action`
+// tag of cart_state_mismatch. `view` is any cart page view; `cleanup` is the removal of a pool
+// customer's leftover items after login, which isn't a shopper action.
+const CART_ACTIONS = ['add_to_cart', 'update_qty', 'remove', 'view', 'cleanup'];
+
+// The window.checkoutConfig object of a cart or checkout page, or null
+function readCheckoutConfig(html) {
+  if (!html || typeof html !== 'string') return null;
+  const configMatch = html.match(/window\.checkoutConfig\s*=\s*\{/);
+  return configMatch ? readJsonObject(html, configMatch.index + configMatch[0].length - 1) : null;
+}
+
+// Quote items ({ itemId, productId, qty }) and totals of a cart page, from the window.checkoutConfig
+// the cart summary is rendered from, or else from the item rows. Null when the page shows neither.
+function parseCartPage(html) {
+  if (!html || typeof html !== 'string') return null;
+
+  const config = readCheckoutConfig(html);
+  if (config && Array.isArray(config.quoteItemData)) {
+    const totals = config.totalsData || {};
+    return {
+      items: config.quoteItemData.map(item => ({ itemId: String(item.item_id), productId: String(item.product_id), qty: Number(item.qty) })),
+      subtotal: Number(totals.subtotal || 0),
+      itemsQty: Number(totals.items_qty || 0),
+    };
+  }
+
+  // Item rows: a cart[<item id>][qty] input and an edit link naming the product
+  const productIds = {};
+  (html.match(/\/checkout\/cart\/configure\/id\/\d+\/product_id\/\d+/g) || []).forEach(link => {
+    const [, itemId, productId] = link.match(/\/id\/(\d+)\/product_id\/(\d+)/);
+    productIds[itemId] = productId;
+  });
+  const items = (html.match(/<input[^>]*name="cart\[\d+\]\[qty\]"[^>]*>/g) || []).map(tag => {
+    const itemId = tag.match(/name="cart\[(\d+)\]/)[1];
+    return { itemId, productId: productIds[itemId] || null, qty: Number((tag.match(/value="([\d.]+)"/) || [])[1] || 0) };
+  });
+  if (items.length === 0 && !/class="cart-empty"/.test(html)) return null;
+  return { items, subtotal: items.length === 0 ? 0 : null, itemsQty: items.reduce((sum, item) => sum + item.qty, 0) };
+}
+
+// Quote items and totals of the `cart` section in a customer/section/load response, or null when
+// it has none. The section lists the most recently added items only (10 by default).
+function sectionCart(body) {
+  try {
+    const cart = JSON.parse(body).cart;
+    if (!cart || !Array.isArray(cart.items)) return null;
+    return {
+      items: cart.items.map(item => ({ itemId: String(item.item_id), productId: String(item.product_id), qty: Number(item.qty) })),
+      subtotal: Number(cart.subtotalAmount || 0),
+      itemsQty: Number(cart.summary_count || 0),
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Total quantity per product ID of a list of cart items
+function cartQtyByProduct(items) {
+  const totals = {};
+  items.forEach(item => {
+    totals[item.productId] = (totals[item.productId] || 0) + Number(item.qty);
+  });
+  return totals;
+}
+
+// =============================================================================
+// FULL-PAGE CACHE ANALYTICS
+// =============================================================================
+
+// Cache status of a storefront response: 'hit', 'miss', or null when no cache header reports it.
+// A hit at any layer (Fastly shield or edge, Varnish) means the request never reached Magento.
+function readCacheStatus(res) {
+  const headers = res.headers || {};
+
+  // Magento's VCL reports Varnish hits in developer mode
+  const cacheDebug = headers['X-Magento-Cache-Debug'];
+  if (cacheDebug) return /HIT/i.test(cacheDebug) ? 'hit' : 'miss';
+
+  // Fastly lists one status per cache node, e.g. "MISS, HIT"
+  const xCache = headers['X-Cache'];
+  if (xCache) return /\bHIT\b/i.test(xCache) ? 'hit' : 'miss';
+
+  const cacheHits = headers['X-Cache-Hits'];
+  if (cacheHits) return String(cacheHits).split(',').some(hits => parseInt(hits, 10) > 0) ? 'hit' : 'miss';
+
+  // Varnish and most CDNs serve cached objects with a non-zero Age
+  const age = headers['Age'];
+  if (age !== undefined) return parseInt(age, 10) > 0 ? 'hit' : 'miss';
+
+  return null;
+}
+
+// Fastly POP that served the response, e.g. "LHR" from "cache-lhr7321-LHR"
+function readServedBy(res) {
+  const servedBy = res.headers && res.headers['X-Served-By'];
+  if (!servedBy) return null;
+
+  const edgeNode = servedBy.split(',').pop().trim();
+  const pop = edgeNode.match(/-([A-Z]{3})$/);
+  return pop ? pop[1] : edgeNode;
+}
+
+// Record a storefront response's cache status and time to first byte
+function recordCacheStatus(res, pageType, bypassCache) {
+  const cacheStatus = readCacheStatus(res);
+  if (!cacheStatus) return;
+
+  const tags = { page_type: pageType, cache_bypass: String(bypassCache) };
+  const pop = readServedBy(res);
+  if (pop) tags.pop = pop;
+
+  fpcHitRate.add(cacheStatus === 'hit', tags);
+  fpcTtfbTrend.add(res.timings.waiting, { ...tags, cache: cacheStatus });
+  if (bypassCache) {
+    cacheBypassEffectiveRate.add(cacheStatus === 'miss', { page_type: pageType, strategy: CACHE_BYPASS_STRATEGY });
+  }
+}
+
+// =============================================================================
+// REQUEST NAMING
+// =============================================================================
+
+// Requests are tagged with a `name` of their Magento route (frontName/controller/action)
+// instead of their full URL, which keeps k6's metric series bounded and matches the
+// New Relic transaction names. SEO URLs carry no route, so those use the page type's route.
+const PAGE_TYPE_ROUTES = {
+  homepage: 'cms/index/index',
+  category: 'catalog/category/view',
+  pagination: 'catalog/category/view',
+  breadcrumb: 'catalog/category/view',
+  product: 'catalog/product/view',
+  related_product: 'catalog/product/view',
+  cms_page: 'cms/page/view',
+  filtered_category: 'catalog/category/view',
+  wishlist: 'wishlist/index/index',
+  product_compare: 'catalog/product_compare/index',
+};
+
+// GraphQL operations of the comprehensive journey's API phase
+const GRAPHQL_STOREFRONT_OPERATIONS = ['ProductSearch', 'CartDetails', 'CmsContent'];
+
+// REST calls made by the test, as `rest:<method> <template>` names
+const REST_ROUTES = [
+  'GET /V1/store/storeViews', 'GET /V1/directory/countries', 'POST /V1/guest-carts',
+  ...['guest-carts/{cartId}', 'carts/mine'].reduce((routes, cart) => routes.concat(
+    ['estimate-shipping-methods', 'shipping-information', 'payment-information'].map(step => `POST /V1/${cart}/${step}`)
+  ), []),
+].map(route => `rest:${route}`);
+
+// Name of rewritten SEO URLs (*.html) whose page type isn't known when they are requested
+const URL_REWRITE_ROUTE = 'url_rewrite';
+
+// Magento route of a storefront URL (or of a path under the store's base URL)
+function magentoRoute(url, pageType) {
+  const storePath = url.startsWith(currentStore.baseUrl) ? url.slice(currentStore.baseUrl.length) : url.replace(/^https?:\/\/[^/]+/, '');
+  const path = storePath.split(/[?#]/)[0];
+  const segments = path.split('/').filter(Boolean);
+  if (segments.length === 0) return 'cms/index/index';
+  if (PAGE_TYPE_ROUTES[pageType]) return PAGE_TYPE_ROUTES[pageType];
+  if (path.endsWith('.html')) return URL_REWRITE_ROUTE;
+  return [segments[0], segments[1] || 'index', segments[2] || 'index'].join('/');
+}
+
+// `rest:<method> <template>` name of a REST call, with the store code and IDs templated out
+function restRoute(method, path) {
+  const template = path.split('?')[0]
+    .replace(/^\/rest\/(?:[^/]+\/)?V1\//, '/V1/')
+    .replace(/\/guest-carts\/[^/]+/, '/guest-carts/{cartId}')
+    .replace(/\/\d+(?=\/|$)/g, '/{id}');
+  return `rest:${method} ${template}`;
+}
+
+// Operation name of a GraphQL document: its declared name, else its first root field
+function graphqlOperationName(query) {
+  const declared = query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+  if (declared) return declared[1];
+  const rootField = query.match(/\{\s*(\w+)/);
+  return rootField ? rootField[1] : 'anonymous';
+}
+
+// Helper to add the `name` tag to request params
+function withName(params, name) {
+  return { ...params, tags: { ...(params && params.tags), name } };
+}
+
+// User journeys and their configured share of iterations
+const JOURNEY_WEIGHTS = {
+  comprehensive_shopping: COMPREHENSIVE_SHOPPING_PERCENTAGE,
+  browse_purchase: BROWSE_JOURNEY_PERCENTAGE,
+  search_purchase: SEARCH_JOURNEY_PERCENTAGE,
+  cart_abandonment: CART_JOURNEY_PERCENTAGE,
+  window_shopping: WINDOW_SHOPPING_PERCENTAGE,
+  quick_buyer: QUICK_BUYER_PERCENTAGE,
+  graphql_headless: HEADLESS_JOURNEY_PERCENTAGE,
+};
+
+// Operations of the GraphQL headless journey, in storefront order
+const GRAPHQL_HEADLESS_OPERATIONS = [
+  'ResolveRoute', 'CategoryTree', 'ProductDetail', 'CreateEmptyCart', 'AddProductsToCart',
+  'SetGuestEmailOnCart', 'SetShippingAddressesOnCart', 'SetBillingAddressOnCart',
+  'SetShippingMethodsOnCart', 'SetPaymentMethodOnCart', 'PlaceOrder',
+];
+
+// Every request name the test produces, for the per-route breakdown
+const ROUTE_NAMES = [...new Set([
+  ...Object.values(PAGE_TYPE_ROUTES),
+  URL_REWRITE_ROUTE,
+  ...[CART_PAGE_PATH, CHECKOUT_PAGE_PATH, CHECKOUT_SUCCESS_PATH, ADD_TO_CART_PATH, SEARCH_RESULT_PATH_TEMPLATE,
+    CART_UPDATE_PATH, CART_DELETE_PATH, COUPON_POST_PATH, CUSTOMER_ACCOUNT_PATH, CUSTOMER_LOGIN_PATH, CUSTOMER_LOGIN_POST_PATH, CUSTOMER_LOGOUT_PATH,
+    CUSTOMER_SECTION_LOAD_PATH, CUSTOMER_REGISTER_PATH, CUSTOMER_REGISTER_POST_PATH, CUSTOMER_DASHBOARD_PATH,
+    ORDER_HISTORY_PATH, ADDRESS_BOOK_PATH, AJAX_WISHLIST_PATH, AJAX_COMPARE_ADD_PATH, WISHLIST_MOVE_TO_CART_PATH,
+    WISHLIST_REMOVE_PATH, COMPARE_CLEAR_PATH].map(path => magentoRoute(path)),
+  ...GRAPHQL_STOREFRONT_OPERATIONS.concat(GRAPHQL_HEADLESS_OPERATIONS).map(operation => `graphql:${operation}`),
+  ...REST_ROUTES,
+  ...(INTEGRATION_API_ENABLED ? INTEGRATION_OPERATIONS.map(operation => `integration:${operation.name}`) : []),
+  ...(ADMIN_PANEL_ENABLED ? ADMIN_REQUESTS.map(request => `admin:${request}`) : []),
+  ...(TRAFFIC_MEDIA_REQUESTS > 0 ? ASSET_SOURCES.map(source => `asset:${source}`) : []),
+])];
+
+// Submetric thresholds make k6 print per-journey, per-operation, per-page-type, per-route and per-store breakdowns in the summary.
+// They always pass and are left out of the threshold results in the reports.
+const breakdownThresholds = {};
+Object.keys(JOURNEY_WEIGHTS).forEach(journey => {
+  breakdownThresholds[`journey_iterations{journey:${journey}}`] = ['count>=0'];
+  breakdownThresholds[`journey_duration{journey:${journey}}`] = ['max>=0'];
+});
+GRAPHQL_HEADLESS_OPERATIONS.forEach(operation => {
+  breakdownThresholds[`graphql_operation_duration{operation:${operation}}`] = ['max>=0'];
+});
+PAGE_TYPES.forEach(pageType => {
+  breakdownThresholds[`page_view_duration{page_type:${pageType}}`] = ['max>=0'];
+});
+['true', 'false'].forEach(bypass => {
+  breakdownThresholds[`fpc_hits{cache_bypass:${bypass}}`] = ['rate>=0'];
+});
+['hit', 'miss'].forEach(cacheStatus => {
+  breakdownThresholds[`fpc_ttfb{cache:${cacheStatus}}`] = ['max>=0'];
+});
+ROUTE_NAMES.forEach(route => {
+  breakdownThresholds[`http_req_duration{name:${route}}`] = ['max>=0'];
+  breakdownThresholds[`http_req_failed{name:${route}}`] = ['rate>=0'];
+});
+(INTEGRATION_API_ENABLED ? INTEGRATION_OPERATIONS : []).forEach(operation => {
+  breakdownThresholds[`integration_api_duration{operation:${operation.name}}`] = ['max>=0'];
+  breakdownThresholds[`integration_api_errors{operation:${operation.name}}`] = ['rate>=0'];
+});
+if (ADMIN_PANEL_ENABLED) {
+  ADMIN_REQUESTS.forEach(request => {
+    breakdownThresholds[`admin_request_duration{request:${request}}`] = ['max>=0'];
+    breakdownThresholds[`admin_errors{request:${request}}`] = ['rate>=0'];
+  });
+  Object.keys(ADMIN_ACTION_WEIGHTS).forEach(action => {
+    breakdownThresholds[`admin_action_duration{action:${action}}`] = ['max>=0'];
+  });
+}
+PRODUCT_TYPES.forEach(productType => {
+  breakdownThresholds[`add_to_cart_success{product_type:${productType}}`] = ['rate>=0'];
+});
+CART_ACTIONS.forEach(action => {
+  breakdownThresholds[`cart_state_mismatch{action:${action}}`] = ['rate>=0'];
+});
+['apply', 'remove'].forEach(action => {
+  breakdownThresholds[`coupon_duration{action:${action}}`] = ['max>=0'];
+});
+COUPON_OUTCOMES.forEach(outcome => {
+  breakdownThresholds[`coupon_duration{outcome:${outcome}}`] = ['max>=0'];
+  breakdownThresholds[`coupon_applications{outcome:${outcome}}`] = ['count>=0'];
+});
+COUPON_EXPECTED_OUTCOMES.forEach(expected => {
+  breakdownThresholds[`coupon_expected_outcome{expected:${expected}}`] = ['rate>=0'];
+});
+WISHLIST_ACTIONS.forEach(action => {
+  breakdownThresholds[`wishlist_action_duration{action:${action}}`] = ['max>=0'];
+  breakdownThresholds[`wishlist_action_success{action:${action}}`] = ['rate>=0'];
+});
+COMPARE_ACTIONS.forEach(action => {
+  breakdownThresholds[`compare_action_duration{action:${action}}`] = ['max>=0'];
+  breakdownThresholds[`compare_action_success{action:${action}}`] = ['rate>=0'];
+});
+SECTION_LOAD_TRIGGERS.forEach(trigger => {
+  breakdownThresholds[`section_load_duration{trigger:${trigger}}`] = ['max>=0'];
+  breakdownThresholds[`section_load_errors{trigger:${trigger}}`] = ['rate>=0'];
+});
+ASSET_SOURCES.forEach(source => {
+  breakdownThresholds[`${source === 'static' ? 'static' : 'media'}_asset_duration{asset_source:${source}}`] = ['max>=0'];
+  breakdownThresholds[`asset_bytes{asset_source:${source}}`] = ['count>=0'];
+  breakdownThresholds[`asset_errors{asset_source:${source}}`] = ['rate>=0'];
+});
+LAYERED_NAV_ACTIONS.forEach(action => {
+  breakdownThresholds[`layered_navigation_duration{action:${action}}`] = ['max>=0'];
+});
+STORES.forEach(store => {
+  breakdownThresholds[`journey_iterations{store:${store.code}}`] = ['count>=0'];
+  breakdownThresholds[`http_req_duration{store:${store.code}}`] = ['max>=0'];
+  breakdownThresholds[`http_req_failed{store:${store.code}}`] = ['rate>=0'];
+  breakdownThresholds[`page_view_duration{store:${store.code}}`] = ['max>=0'];
+  breakdownThresholds[`fpc_hits{store:${store.code}}`] = ['rate>=0'];
+});
+Object.keys(CACHE_BYPASS_PERCENTAGES).forEach(pageType => {
+  breakdownThresholds[`cache_bypass_effective{page_type:${pageType}}`] = ['rate>=0'];
+});
+Object.keys(PAGE_TYPE_TRENDS).forEach(pageType => {
+  breakdownThresholds[`fpc_hits{page_type:${pageType}}`] = ['rate>=0'];
+  breakdownThresholds[`fpc_ttfb{page_type:${pageType},cache:hit}`] = ['max>=0'];
+  breakdownThresholds[`fpc_ttfb{page_type:${pageType},cache:miss}`] = ['max>=0'];
+});
+
+export const options = {
+  setupTimeout: SETUP_TIMEOUT, // Short by default - don't wait too long
+  // k6's default system tags without `url`: every cache-bypassed URL is unique, so only the `name` tag bounds the metric series
+  systemTags: ['proto', 'subproto', 'status', 'method', 'name', 'group', 'check', 'error', 'error_code', 'tls_version', 'scenario', 'service', 'expected_response'],
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)', 'count'],
+  scenarios: {
+    storefront: STOREFRONT_SCENARIO, // Shape selected by loadTest.profile and loadTest.executionMode
+    ...(INTEGRATION_API_ENABLED && { integration_api: INTEGRATION_API_SCENARIO }), // Back-office REST traffic in parallel
+    ...(ADMIN_PANEL_ENABLED && { admin_panel: ADMIN_PANEL_SCENARIO }), // Merchandisers in the admin, in parallel
+  },
+  thresholds: {
+    // Storefront requests only: the integration API and admin scenarios have thresholds of their own
+    'http_req_failed{scenario:storefront}': [globalThreshold(`rate<${HTTP_ERROR_THRESHOLD}`)], // HTTP error threshold
+    'http_req_duration{scenario:storefront}': [globalThreshold(`p(95)<${HTTP_DURATION_THRESHOLD}`)], // HTTP request duration threshold
+    'product_page_duration': [`p(95)<${PRODUCT_DURATION_THRESHOLD}`], // Product page threshold
+    'category_page_duration': [`p(95)<${CATEGORY_DURATION_THRESHOLD}`], // Category page threshold
+    'homepage_duration': [`p(95)<${HOMEPAGE_DURATION_THRESHOLD}`], // Homepage threshold
+    'search_duration': [`p(95)<${SEARCH_DURATION_THRESHOLD}`], // Search threshold
+    'cart_duration': [`p(95)<${CART_DURATION_THRESHOLD}`], // Cart threshold
+    'add_to_cart_duration': [`p(95)<${CART_DURATION_THRESHOLD}`], // Add to cart threshold
+    'checkout_duration': [`p(95)<${CART_DURATION_THRESHOLD}`], // Checkout threshold
+    'order_placement_duration': [`p(95)<${CART_DURATION_THRESHOLD}`], // Order placement threshold
+    'graphql_duration': [`p(95)<${HTTP_DURATION_THRESHOLD}`], // GraphQL threshold
+    'rest_duration': [`p(95)<${HTTP_DURATION_THRESHOLD}`], // REST threshold
+    ...(INTEGRATION_API_ENABLED && {
+      'integration_api_duration': [`p(95)<${HTTP_DURATION_THRESHOLD}`], // Integration API threshold
+      'integration_api_errors': [`rate<${HTTP_ERROR_THRESHOLD}`], // Integration API error threshold
+    }),
+    ...(ADMIN_PANEL_ENABLED && {
+      'admin_request_duration': [`p(95)<${ADMIN_DURATION_THRESHOLD}`], // Admin panel threshold
+      'admin_errors': [`rate<${ADMIN_ERROR_THRESHOLD}`], // Admin panel error threshold
+    }),
+    ...breakdownThresholds, // Summary breakdowns
+    // Open model: sessions k6 could not start because all VUs were busy
+    ...(EXECUTION_MODE === 'open' && { 'dropped_iterations': [`count<=${DROPPED_ITERATIONS_THRESHOLD}`] }),
+  },
+  ext: {
+    loadimpact: {
+      projectID: 3694943,
+      name: EXECUTION_MODE === 'open'
+        ? `Magento 2 Load Test - ${LOAD_PROFILE} - ${PEAK_STAGE_TARGET} sessions/${ARRIVAL_TIME_UNIT}`
+        : `Magento 2 Load Test - ${LOAD_PROFILE} - ${PEAK_VUS} VUs`
+    }
+  }
+};
+
+// Regression limits from the baseline run (empty without a baseline)
+const BASELINE_LIMITS = BASELINE_FILE ? buildBaselineLimits(loadBaselineMetrics(BASELINE_FILE)) : [];
+
+// With failOnRegression, every baseline limit becomes a threshold so a regression fails the run
+if (BASELINE_FAIL_ON_REGRESSION) {
+  BASELINE_LIMITS.forEach(({ metric, expression }) => {
+    options.thresholds[metric] = [...(options.thresholds[metric] || []), expression];
+  });
+}
+
+// Helper function to crawl a page and extract URLs
+function crawlPage(url, depth = 0) {
   if (depth > MAX_CRAWL_DEPTH) return { products: [], categories: [], searchTerms: [] };
   
   const productUrls = [];
@@ -384,42 +1994,43 @@ function crawlPage(url, depth = 0) {
   try {
     const res = http.get(url, { 
       headers: { 'User-Agent': USER_AGENT },
-      timeout: '10s'
+      timeout: '10s',
+      tags: { name: `setup:${magentoRoute(url, depth === 0 ? 'homepage' : 'category')}` },
     });
     
     if (!res.body) return { products: [], categories: [], searchTerms: [] };
     
     const doc = res.html();
+    const linkTypes = classifyLinks(doc);
     
     // Extract URLs from page
-    doc.find('a[href*=".html"]').each((i, el) => {
+    doc.find('a[href*=".html"]').toArray().forEach(el => {
       try {
         let href = el.attr('href');
         if (!href) return;
         
         // Normalize relative URLs to absolute
         if (href.startsWith('/')) {
-          href = `${BASE_URL}${href}`;
+          href = `${storeOrigin()}${href}`;
         }
         
-        if (href.includes('.html') && href.startsWith(BASE_URL)) {
+        if (href.includes('.html') && href.startsWith(currentStore.baseUrl)) {
           // Skip excluded URLs
           if (EXCLUDED_URL_SUBSTRINGS.some(s => href.includes(s))) return;
           
-          // Validate URL exists (quick check)
-          if (!validateUrl(href)) return;
+          // Validated URLs are classified from their own <body> class, others from the link markup;
+          // links the markup doesn't identify (CMS pages, blog posts) are dropped unless validated
+          let pageType = linkTypes[href];
+          if (VALIDATE_URLS_BEFORE_USE) {
+            pageType = fetchPageType(href);
+          }
+          if (!pageType) return;
           
-          // Categorize URLs - Enhanced pattern matching for real Magento URLs
-          if (href.includes('/category') || href.includes('/women') || href.includes('/men') ||
-              href.includes('/gear') || href.includes('/training') || href.includes('/electronics') ||
-              href.includes('/collections') || href.includes('/training/') || href.includes('/gear/')) {
+          if (pageType === 'category') {
             if (categoryUrls.indexOf(href) === -1) categoryUrls.push(href);
-          } else if (href.includes('.html') && !href.includes('/category') && 
-                     !href.includes('/admin') && !href.includes('/checkout') && 
-                     !href.includes('/customer') && !href.includes('/contact')) {
-            // This is likely a product URL
+          } else if (pageType === 'product') {
             if (productUrls.indexOf(href) === -1) productUrls.push(href);
-        }
+          }
         }
       } catch (e) {
         // Skip problematic elements
@@ -427,7 +2038,7 @@ function crawlPage(url, depth = 0) {
     });
     
     // Extract search terms from text content
-    doc.find('a[href*=".html"]').each((i, el) => {
+    doc.find('a[href*=".html"]').toArray().forEach(el => {
       try {
         const text = el.text().trim();
         if (text && text.length > 2 && text.length < 20 && !text.includes('http')) {
@@ -447,7 +2058,258 @@ function crawlPage(url, depth = 0) {
   return { products: productUrls, categories: categoryUrls, searchTerms: searchTerms };
 }
 
+// =============================================================================
+// SITEMAP DISCOVERY
+// =============================================================================
+
+// Helper to rewrite a URL onto the current store's origin, so a production sitemap can drive a staging test
+function rebaseUrl(url) {
+  return url.replace(/^https?:\/\/[^/]+/, storeOrigin());
+}
+
+// Helper to decode the XML entities that appear in sitemap <loc> values
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Fetch a sitemap file as text, gunzipping *.gz files that aren't served with Content-Encoding
+function fetchSitemap(url) {
+  const isGzipFile = /\.gz($|\?)/.test(url);
+  const res = http.get(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    timeout: '30s',
+    responseType: isGzipFile ? 'binary' : 'text',
+    tags: { name: 'setup:sitemap' },
+  });
+
+  if (res.status !== 200 || !res.body) {
+    console.log(`Sitemap ${url} returned ${res.status}`);
+    return null;
+  }
+
+  if (!isGzipFile) return res.body;
+
+  const bytes = new Uint8Array(res.body);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return pako.ungzip(bytes, { to: 'string' });
+  }
+  // Already decompressed by the server or a CDN - sitemap XML is ASCII (URLs are percent-encoded)
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+// Parse a sitemap or sitemap index into { childSitemaps, entries }
+function parseSitemap(xml) {
+  const childSitemaps = [];
+  const entries = [];
+
+  (xml.match(/<sitemap>[\s\S]*?<\/sitemap>/g) || []).forEach(block => {
+    const loc = block.match(/<loc>\s*([\s\S]*?)\s*<\/loc>/);
+    if (loc) childSitemaps.push(decodeXmlEntities(loc[1]));
+  });
+
+  (xml.match(/<url>[\s\S]*?<\/url>/g) || []).forEach(block => {
+    const loc = block.match(/<loc>\s*([\s\S]*?)\s*<\/loc>/);
+    if (!loc) return;
+    const priority = block.match(/<priority>\s*([\d.]+)\s*<\/priority>/);
+    entries.push({
+      url: rebaseUrl(decodeXmlEntities(loc[1])),
+      priority: priority ? parseFloat(priority[1]) : 0.5,
+      hasImage: /<image:image>/.test(block),
+    });
+  });
+
+  return { childSitemaps, entries };
+}
+
+// Classify a sitemap entry as product, category, cms or unknown; null for entries to skip.
+// Magento only adds <image:image> to products and writes each type with the priority
+// configured under Stores > Configuration > Catalog > XML Sitemap.
+function classifySitemapEntry(entry) {
+  const path = entry.url.replace(/^https?:\/\/[^/]+/, '');
+  if (path === '' || path === '/' || entry.url.replace(/\/$/, '') === currentStore.baseUrl.replace(/\/$/, '')) return null; // Homepage
+  if (EXCLUDED_URL_SUBSTRINGS.some(s => path.includes(s))) return null;
+
+  if (entry.hasImage) return 'product';
+
+  const priorityMatches = Object.keys(SITEMAP_PRIORITIES).filter(type => Math.abs(SITEMAP_PRIORITIES[type] - entry.priority) < 0.001);
+  if (priorityMatches.length === 1) return priorityMatches[0];
+
+  // Priorities don't tell the types apart. An .html URL could be a product without images or a
+  // category, so it's left unknown (and unused) rather than guessed; other URLs are CMS pages.
+  return /\.html$/.test(path) ? 'unknown' : 'cms';
+}
+
+// Helper to shuffle an array in place (Fisher-Yates)
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Stratified sample: round-robin across top-level URL sections, so every part of
+// the catalogue is represented rather than whatever the sitemap lists first
+function sampleStratified(entries, max) {
+  const strata = {};
+  entries.forEach(entry => {
+    const section = entry.url.replace(/^https?:\/\/[^/]+\/?/, '').split('/')[0].replace(/\.html$/, '');
+    (strata[section] = strata[section] || []).push(entry);
+  });
+
+  const sections = shuffle(Object.keys(strata).map(section => shuffle(strata[section])));
+  const sample = [];
+  const target = max > 0 ? Math.min(max, entries.length) : entries.length;
+  while (sample.length < target) {
+    sections.forEach(sectionEntries => {
+      if (sectionEntries.length > 0 && sample.length < target) sample.push(sectionEntries.shift());
+    });
+  }
+  return sample;
+}
+
+// Priority-weighted sample without replacement (Efraimidis-Spirakis): entries with a
+// higher <priority> are more likely to be picked. Magento writes one priority per type, so
+// this only differs from a random sample for sitemaps with per-URL priorities.
+function samplePriorityWeighted(entries, max) {
+  const keyed = entries.map(entry => ({ entry, key: Math.pow(Math.random(), 1 / Math.max(entry.priority, 0.01)) }));
+  keyed.sort((a, b) => b.key - a.key);
+  return limit(keyed, max).map(item => item.entry);
+}
+
+// Helper to derive search terms from product URL keys (e.g. "radiant-tee.html" → "radiant", "tee")
+function searchTermsFromUrls(urls) {
+  const terms = [];
+  urls.forEach(url => {
+    const urlKey = url.split('?')[0].split('/').pop().replace(/\.html$/, '');
+    urlKey.split('-').forEach(word => {
+      if (word.length > 3 && !/^\d+$/.test(word) && !terms.includes(word)) terms.push(word);
+    });
+  });
+  return shuffle(terms);
+}
+
+// Discover product, category and CMS URLs from /sitemap.xml (and sitemap index files)
+function discoverFromSitemap() {
+  const sitemapPath = currentStore.sitemapPath || SITEMAP_PATH;
+  const queue = [/^https?:\/\//.test(sitemapPath) ? sitemapPath : `${currentStore.baseUrl}${sitemapPath}`];
+  const fetched = [];
+  const byType = { product: [], category: [], cms: [], unknown: [] };
+
+  while (queue.length > 0 && fetched.length < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (fetched.includes(sitemapUrl)) continue;
+    fetched.push(sitemapUrl);
+
+    let xml = null;
+    try {
+      xml = fetchSitemap(sitemapUrl);
+    } catch (e) {
+      console.log(`Failed to read sitemap ${sitemapUrl}: ${e.message}`);
+    }
+    if (!xml) continue;
+
+    const { childSitemaps, entries } = parseSitemap(xml);
+    childSitemaps.forEach(child => queue.push(rebaseUrl(child)));
+    entries.forEach(entry => {
+      const type = classifySitemapEntry(entry);
+      if (type) byType[type].push(entry);
+    });
+  }
+
+  const sample = SITEMAP_SAMPLING === 'priority' ? samplePriorityWeighted : sampleStratified;
+  const products = sample(byType.product, MAX_PRODUCTS).map(entry => entry.url);
+  const categories = sample(byType.category, MAX_CATEGORIES).map(entry => entry.url);
+  const cmsPages = sample(byType.cms, MAX_CMS_PAGES).map(entry => entry.url);
+
+  console.log(`Sitemap: read ${fetched.length} file(s), found ${byType.product.length} products, ${byType.category.length} categories and ${byType.cms.length} CMS pages; sampled ${products.length}/${categories.length}/${cmsPages.length} (${SITEMAP_SAMPLING})`);
+  if (byType.unknown.length > 0) {
+    console.log(`Sitemap: skipped ${byType.unknown.length} .html URLs whose priority doesn't identify their type - check urlDiscovery.*Priority`);
+  }
+
+  return { products, categories, cmsPages };
+}
+
+// The setup function runs once before the test starts.
+// It discovers real URLs from your Magento site with Medium profile data.
 export function setup() {
+  if (EXECUTION_MODE === 'open') {
+    console.log(`Open model: up to ${PEAK_STAGE_TARGET} new sessions per ${ARRIVAL_TIME_UNIT}, ${PRE_ALLOCATED_VUS} pre-allocated VUs, ${MAX_VUS} max VUs`);
+  }
+
+  if (CUSTOMER_POOL_FILE) {
+    console.log(`Customer pool: ${CUSTOMER_POOL.length} accounts loaded from ${CUSTOMER_POOL_FILE}`);
+    // Pool rows follow k6's VU numbering, which counts the VUs of every scenario
+    const totalVUs = PEAK_VUS
+      + (INTEGRATION_API_ENABLED ? INTEGRATION_MAX_VUS : 0)
+      + (ADMIN_PANEL_ENABLED ? ADMIN_PANEL_SCENARIO.vus : 0);
+    if (CUSTOMER_POOL.length < totalVUs) {
+      console.log(`Customer pool is smaller than the test's ${totalVUs} VUs (all scenarios) - storefront VUs without an account browse as guests`);
+    }
+  }
+
+  // Discover each store view's URLs with that store as the current one
+  const stores = {};
+  STORES.forEach(store => {
+    currentStore = store;
+    if (STORES.length > 1) {
+      console.log(`Store view ${store.code}: ${store.baseUrl}`);
+    }
+    const discovered = store.products && store.categories
+      ? { searchTerms: searchTermsFromUrls(store.products) } // Configured lists - nothing to discover
+      : discoverStoreUrls();
+    stores[store.code] = applyStoreUrlLists(store, discovered);
+  });
+
+  return {
+    stores,
+    ...(INTEGRATION_API_ENABLED && { integration: setupIntegrationApi() }),
+  };
+}
+
+// Replace a store's discovered URL lists with the ones configured for it.
+// Configured entries may be full URLs or paths under the store's base URL.
+function applyStoreUrlLists(store, discovered) {
+  const resolve = urls => urls.map(url => (/^https?:\/\//.test(url) ? url : `${store.baseUrl}/${url.replace(/^\/+/, '')}`));
+  const searchTerms = store.searchTerms || discovered.searchTerms;
+  return {
+    products: store.products ? resolve(store.products) : discovered.products || [],
+    categories: store.categories ? resolve(store.categories) : discovered.categories || [],
+    cmsPages: store.cmsPages ? resolve(store.cmsPages) : discovered.cmsPages || [],
+    searchTerms: searchTerms && searchTerms.length > 0 ? searchTerms : FALLBACK_SEARCH_TERMS,
+  };
+}
+
+// Discover the current store view's product, category and CMS URLs and search terms
+function discoverStoreUrls() {
+  if (ENABLE_SITEMAP_DISCOVERY) {
+    console.log(`Running setup... Discovering URLs from ${currentStore.sitemapPath || SITEMAP_PATH}.`);
+    const sitemapData = discoverFromSitemap();
+
+    if (sitemapData.products.length > 0 || sitemapData.categories.length > 0) {
+      // Fill a missing URL type from the fallback lists
+      const fallback = (sitemapData.products.length === 0 || sitemapData.categories.length === 0) ? generateFallbackUrls() : null;
+      const searchTerms = searchTermsFromUrls(sitemapData.products);
+
+      return {
+        products: sitemapData.products.length > 0 ? sitemapData.products : fallback.products,
+        categories: sitemapData.categories.length > 0 ? sitemapData.categories : fallback.categories,
+        cmsPages: sitemapData.cmsPages,
+        searchTerms: limit(searchTerms.length > 0 ? searchTerms : FALLBACK_SEARCH_TERMS, MAX_SEARCH_TERMS),
+      };
+    }
+    console.log('Sitemap discovery found no products or categories, falling back to crawling.');
+  }
+
   if (!ENABLE_URL_DISCOVERY) {
     console.log('Running setup... URL discovery disabled, using verified fallback URLs only.');
     return generateFallbackUrls();
@@ -460,7 +2322,7 @@ export function setup() {
   const allSearchTerms = [];
 
   // Start with homepage
-  const homepageData = crawlPage(BASE_URL, 0);
+  const homepageData = crawlPage(currentStore.baseUrl, 0);
   allProductUrls.push(...homepageData.products);
   allCategoryUrls.push(...homepageData.categories);
   allSearchTerms.push(...homepageData.searchTerms);
@@ -510,78 +2372,196 @@ function extractFormKey(html) {
   return formKeyMatch ? formKeyMatch[1] : null;
 }
 
-// Enhanced product info extraction with configurable product support
+// Magento product types; product pages carry theirs as a page-product-<type> <body> class
+const PRODUCT_TYPES = ['simple', 'virtual', 'configurable', 'bundle', 'grouped', 'downloadable'];
+
+// Product type of a product page, from its <body> class or else from its add-to-cart form
+function detectProductType(html) {
+  const bodyClass = html.match(/<body[^>]*class="[^"]*\bpage-product-([a-z_]+)/);
+  if (bodyClass && PRODUCT_TYPES.includes(bodyClass[1])) return bodyClass[1];
+
+  if (/"optionConfig"|name="bundle_option\[/.test(html)) return 'bundle';
+  if (/name="super_group\[/.test(html)) return 'grouped';
+  if (/name="links\[\]"/.test(html)) return 'downloadable';
+  if (/data-role="swatch-options"|super_attribute|configurable-data|swatch-opt|"spConfig"/.test(html)) return 'configurable';
+  return 'simple';
+}
+
+// Builders of the add-to-cart fields each product type needs. They return null when the page
+// offers nothing valid to add (no salable child or selection).
+const PRODUCT_TYPE_FIELDS = {
+  configurable: html => {
+    const config = extractConfigurableConfig(html);
+    return config ? pickConfigurableOptions(config) : null;
+  },
+
+  // One selection for every bundle option, from the price-bundle widget's optionConfig
+  bundle: html => {
+    const match = html.match(/"optionConfig"\s*:\s*\{/);
+    const config = match ? readJsonObject(html, match.index + match[0].length - 1) : null;
+    if (!config || !config.options) return null;
+
+    const fields = {};
+    Object.keys(config.options).forEach(optionId => {
+      const option = config.options[optionId];
+      const selectionId = pickRandom(Object.keys(option.selections || {}));
+      if (selectionId) fields[option.isMulti ? `bundle_option[${optionId}][]` : `bundle_option[${optionId}]`] = selectionId;
+    });
+    return Object.keys(fields).length > 0 ? fields : null;
+  },
+
+  // A quantity of 1 for one or two of the in-stock children (out-of-stock ones have no qty input)
+  grouped: html => {
+    const childIds = [...new Set((html.match(/name="super_group\[\d+\]"/g) || []).map(name => name.match(/\d+/)[0]))];
+    if (childIds.length === 0) return null;
+
+    const fields = {};
+    shuffle(childIds).slice(0, Math.floor(Math.random() * 2) + 1).forEach(childId => {
+      fields[`super_group[${childId}]`] = 1;
+    });
+    return fields;
+  },
+
+  // One link, when links are purchased separately (otherwise the form has none to choose)
+  downloadable: html => {
+    const linkIds = (html.match(/<input[^>]*name="links\[\]"[^>]*>/g) || [])
+      .map(tag => (tag.match(/value="(\d+)"/) || [])[1])
+      .filter(Boolean);
+    const linkId = pickRandom(linkIds);
+    return linkId ? { 'links[]': linkId } : {};
+  },
+};
+
+// Values for a product's required custom options (options[<id>]), or null when one can't be
+// filled in (file uploads). Any product type can have custom options.
+function customOptionFields(html) {
+  const fileInputs = html.match(/<input[^>]*name="options_\d+_file"[^>]*>/g) || [];
+  if (fileInputs.some(tag => /\brequired\b/.test(tag))) return null;
+
+  const inputs = {};
+  (html.match(/<(?:input|select|textarea)\b[^>]*name="options\[\d+\][^"]*"[^>]*>/g) || []).forEach(tag => {
+    const [, optionId, suffix] = tag.match(/name="options\[(\d+)\]([^"]*)"/);
+    (inputs[optionId] = inputs[optionId] || []).push({ tag, suffix });
+  });
+
+  const fields = {};
+  const fillable = Object.keys(inputs).every(optionId => {
+    const tags = inputs[optionId];
+    if (!tags.some(({ tag }) => /\brequired\b|validate-one-required/.test(tag))) return true; // Optional
+
+    // Radio buttons and checkboxes: pick one of their values
+    const choices = tags.filter(({ tag }) => /type="(?:radio|checkbox)"/.test(tag));
+    if (choices.length > 0) {
+      const choice = pickRandom(choices.filter(({ tag }) => /value="[^"]+"/.test(tag)));
+      if (!choice) return false;
+      fields[`options[${optionId}]${choice.suffix}`] = choice.tag.match(/value="([^"]+)"/)[1];
+      return true;
+    }
+
+    // Drop-downs (including the parts of a date): pick one of their non-empty values
+    return tags.every(({ tag, suffix }) => {
+      if (tag.startsWith('<select')) {
+        const start = html.indexOf(tag);
+        const block = html.slice(start, html.indexOf('</select>', start));
+        const value = pickRandom((block.match(/<option[^>]*value="([^"]+)"/g) || []).map(option => option.match(/value="([^"]+)"/)[1]));
+        if (!value) return false;
+        fields[`options[${optionId}]${suffix}`] = value;
+      } else {
+        fields[`options[${optionId}]${suffix}`] = suffix === '[date]' ? `1/1/${new Date().getFullYear() + 1}` : 'Load test';
+      }
+      return true;
+    });
+  });
+  return fillable ? fields : null;
+}
+
+// Product ID, type and the add-to-cart fields the product needs. requiresOptions with empty
+// availableOptions means the product can't be added.
 function extractProductInfo(html) {
   if (!html || typeof html !== 'string') {
     return {
       productId: null,
+      productType: null,
       requiresOptions: false,
       availableOptions: {}
     };
   }
   
-  const idMatch = html.match(/product_id['"]\s*:\s*['"]?(\d+)['"]?/);
+  const idMatch = html.match(/product_id['"]\s*:\s*['"]?(\d+)['"]?/) || html.match(/name="product" value="(\d+)"/);
   const productId = idMatch ? idMatch[1] : null;
-  
-  // Enhanced configurable product detection
-  const isConfigurable = /data-role="swatch-options"|super_attribute|configurable-data|swatch-opt/.test(html);
-  
-  if (isConfigurable) {
-    const availableOptions = extractSwatchOptions(html);
-    return {
-      productId,
-      requiresOptions: true,
-      availableOptions
-    };
-  }
+  const productType = detectProductType(html);
+
+  const typeFields = PRODUCT_TYPE_FIELDS[productType] ? PRODUCT_TYPE_FIELDS[productType](html) : {};
+  const optionFields = customOptionFields(html);
+  const availableOptions = typeFields && optionFields ? { ...typeFields, ...optionFields } : {};
   
   return {
     productId,
-    requiresOptions: false,
-    availableOptions: {}
+    productType,
+    requiresOptions: !typeFields || !optionFields || Object.keys(availableOptions).length > 0,
+    availableOptions
   };
 }
 
-// Extract swatch options for configurable products
-function extractSwatchOptions(html) {
-  const options = {};
-  
-  try {
-    // Extract size options
-    const sizeMatches = html.match(/attribute_id['"]\s*:\s*['"]?(\d+)['"]?.*?attribute_code['"]\s*:\s*['"]size['"].*?options['"]\s*:\s*(\{[^}]+\})/s);
-    if (sizeMatches) {
-      const sizeOptionsText = sizeMatches[2];
-      const sizeIds = sizeOptionsText.match(/['"](\d+)['"]/g);
-      if (sizeIds && sizeIds.length > 0) {
-        options.size = sizeIds[Math.floor(Math.random() * sizeIds.length)].replace(/['"]/g, '');
-      }
-    }
-    
-    // Extract color options
-    const colorMatches = html.match(/attribute_id['"]\s*:\s*['"]?(\d+)['"]?.*?attribute_code['"]\s*:\s*['"]color['"].*?options['"]\s*:\s*(\{[^}]+\})/s);
-    if (colorMatches) {
-      const colorOptionsText = colorMatches[2];
-      const colorIds = colorOptionsText.match(/['"](\d+)['"]/g);
-      if (colorIds && colorIds.length > 0) {
-        options.color = colorIds[Math.floor(Math.random() * colorIds.length)].replace(/['"]/g, '');
+// Read the JSON object that starts at or after `from`, skipping over braces inside strings
+function readJsonObject(text, from) {
+  const start = text.indexOf('{', from);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      try {
+        return JSON.parse(text.slice(start, i + 1));
+      } catch (e) {
+        return null;
       }
     }
-    
-    // Fallback: extract any super_attribute options
-    const superAttributeMatches = html.match(/super_attribute\[(\d+)\]/g);
-    if (superAttributeMatches) {
-      superAttributeMatches.forEach(match => {
-        const attrId = match.match(/\d+/)[0];
-        // Generate random option ID (common range 1-20)
-        options[`super_attribute[${attrId}]`] = Math.floor(Math.random() * 20) + 1;
-      });
-    }
-  } catch (e) {
-    // If extraction fails, return common default options
-    options['super_attribute[92]'] = Math.floor(Math.random() * 5) + 1; // Size
-    options['super_attribute[93]'] = Math.floor(Math.random() * 10) + 1; // Color
   }
-  
+  return null;
+}
+
+// Configurable product config embedded in the page: the swatch renderer's jsonConfig or the
+// dropdown widget's spConfig. Both list the `attributes` with their options and `index` every
+// child product's option values.
+function extractConfigurableConfig(html) {
+  const match = html.match(/"(?:jsonConfig|spConfig)"\s*:\s*\{/);
+  if (!match) return null;
+
+  const config = readJsonObject(html, match.index + match[0].length - 1);
+  return config && config.attributes && config.index ? config : null;
+}
+
+// super_attribute values of a random in-stock child, or null when none is salable. An option
+// lists only its salable children; stores that display out-of-stock products also send `salable`.
+function pickConfigurableOptions(config) {
+  const attributeIds = Object.keys(config.attributes);
+  const isSalable = (attributeId, optionId, childId) => {
+    const option = (config.attributes[attributeId].options || []).find(o => String(o.id) === String(optionId));
+    if (!option || !(option.products || []).map(String).includes(childId)) return false;
+
+    const salable = config.salable && config.salable[attributeId];
+    return !salable || (salable[optionId] || []).map(String).includes(childId);
+  };
+
+  const children = Object.keys(config.index).filter(childId =>
+    attributeIds.every(attributeId => isSalable(attributeId, config.index[childId][attributeId], childId)));
+  const childId = pickRandom(children);
+  if (!childId) return null;
+
+  const options = {};
+  attributeIds.forEach(attributeId => {
+    options[`super_attribute[${attributeId}]`] = String(config.index[childId][attributeId]);
+  });
   return options;
 }
 
@@ -601,41 +2581,71 @@ function httpGetWithRetry(url, params, maxRetries = 2) {
 }
 
 // GraphQL helper
-function graphqlQuery(query, variables = {}, extraHeaders = {}) {
+function graphqlQuery(query, variables = {}, extraHeaders = {}, operationName = graphqlOperationName(query)) {
   const res = http.post(
-    `${BASE_URL}${GRAPHQL_PATH}`,
+    `${currentStore.baseUrl}${GRAPHQL_PATH}`,
     JSON.stringify({ query, variables }),
     {
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
         'User-Agent': USER_AGENT,
+        'Store': currentStore.code,
+        ...(currentStore.currency && { 'Content-Currency': currentStore.currency }),
         ...extraHeaders,
       },
+      tags: { name: `graphql:${operationName}` },
     }
   );
   return res;
 }
 
+// Run a named GraphQL operation, record its timing and check the `errors` array.
+// Returns { res, data }; data is null on HTTP or GraphQL errors.
+function graphqlOperation(operationName, query, variables = {}, extraHeaders = {}) {
+  const res = graphqlQuery(query, variables, extraHeaders, operationName);
+  const tags = { operation: operationName };
+  graphqlTrend.add(res.timings.duration);
+  graphqlOperationTrend.add(res.timings.duration, tags);
+
+  let body = null;
+  try {
+    body = JSON.parse(res.body);
+  } catch (e) {
+    // Non-JSON response (HTML error page, timeout) - handled below
+  }
+
+  const hasErrors = !body || (Array.isArray(body.errors) && body.errors.length > 0);
+  graphqlErrorRate.add(hasErrors, tags);
+  check(res, {
+    [`GraphQL ${operationName} status is 200`]: (r) => r.status === 200,
+    [`GraphQL ${operationName} has no errors`]: () => !hasErrors,
+  }, tags);
+
+  return { res, data: !hasErrors && body.data ? body.data : null };
+}
+
 // REST helper
 function restGet(path, extraHeaders = {}) {
-  return http.get(`${BASE_URL}${path}`, {
+  return http.get(`${currentStore.baseUrl}${path}`, {
     headers: {
       'Accept': 'application/json',
       'User-Agent': USER_AGENT,
       ...extraHeaders,
     },
+    tags: { name: restRoute('GET', path) },
   });
 }
 
 function restPost(path, body, extraHeaders = {}) {
-  return http.post(`${BASE_URL}${path}`, JSON.stringify(body), {
+  return http.post(`${currentStore.baseUrl}${path}`, JSON.stringify(body), {
     headers: {
       'Content-Type': 'application/json',
       'Accept': 'application/json',
       'User-Agent': USER_AGENT,
       ...extraHeaders,
     },
+    tags: { name: restRoute('POST', path) },
   });
 }
 
@@ -658,12 +2668,12 @@ function generateFallbackUrls() {
   
   // Use real product URLs from your site
   realProducts.forEach(product => {
-    productUrls.push(`${BASE_URL}/${product}`);
+    productUrls.push(`${currentStore.baseUrl}/${product}`);
   });
   
   // Generate fallback category URLs with real categories
   realCategories.forEach(slug => {
-    categoryUrls.push(`${BASE_URL}/${slug}.html`);
+    categoryUrls.push(`${currentStore.baseUrl}/${slug}.html`);
   });
   
   // Add search terms
@@ -678,33 +2688,57 @@ function generateFallbackUrls() {
   };
 }
 
-// Helper to determine if request should bypass cache
-function shouldBypassCache() {
-  return ENABLE_CACHE_BYPASS && Math.random() < CACHE_BYPASS_PERCENTAGE;
+// Helper to determine if a request for this page type should bypass cache
+function shouldBypassCache(pageType) {
+  const bypassPageType = CACHE_BYPASS_PAGE_TYPE_ALIASES[pageType] || pageType;
+  const percentage = bypassPageType in CACHE_BYPASS_PERCENTAGES ? CACHE_BYPASS_PERCENTAGES[bypassPageType] : CACHE_BYPASS_PERCENTAGE;
+  return ENABLE_CACHE_BYPASS && Math.random() < percentage;
 }
 
-// Helper to get HTTP request parameters with optional cache bypass
-function getHttpParams(bypassCache = false) {
+// Helper to get HTTP request parameters
+function getHttpParams() {
   const baseParams = {
     timeout: HTTP_TIMEOUT,
     headers: {
       'User-Agent': USER_AGENT,
       'Accept-Encoding': 'gzip, deflate, br',
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Accept-Language': ACCEPT_LANGUAGE,
+      'Accept-Language': currentStore.acceptLanguage,
       'Cache-Control': 'no-cache',
     },
   };
 
-  if (bypassCache) {
-    baseParams.headers['Cache-Control'] = 'no-cache, no-store, must-revalidate';
-    baseParams.headers['Pragma'] = 'no-cache';
-    baseParams.headers['Expires'] = '0';
-  }
-
   return baseParams;
 }
 
+// Apply the configured cache-bypass strategy to a storefront request; returns the URL to request
+function applyCacheBypass(url, requestParams) {
+  const uniqueValue = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const queryUrl = `${url}${url.includes('?') ? '&' : '?'}${CACHE_BYPASS_QUERY_PARAM}=${uniqueValue}`;
+
+  switch (CACHE_BYPASS_STRATEGY) {
+    case 'query':
+      return queryUrl;
+    case 'header':
+      requestParams.headers[CACHE_BYPASS_HEADER_NAME] = CACHE_BYPASS_SECRET;
+      return url;
+    case 'cookie':
+      requestParams.cookies = { [CACHE_BYPASS_COOKIE_NAME]: { value: CACHE_BYPASS_SECRET, replace: true } };
+      return url;
+    case 'vary':
+      // A logged-in session's real X-Magento-Vary carries its customer context, so it's kept
+      // and the request bypasses with the query parameter instead
+      if (requestParams.jar && requestParams.jar.cookiesForURL(url)['X-Magento-Vary']) return queryUrl;
+      requestParams.cookies = { 'X-Magento-Vary': { value: uniqueValue, replace: true } };
+      return url;
+    default:
+      requestParams.headers['Cache-Control'] = 'no-cache, no-store, must-revalidate';
+      requestParams.headers['Pragma'] = 'no-cache';
+      requestParams.headers['Expires'] = '0';
+      return url;
+  }
+}
+
 // Enhanced Real User Session with proper session management
 class RealUserSession {
   constructor(params) {
@@ -714,9 +2748,12 @@ class RealUserSession {
     this.discoveredRelatedProducts = []; // Products found via "related" links
     this.discoveredPagination = []; // Pagination URLs
     this.discoveredBreadcrumbs = []; // Navigation breadcrumbs
+    this.verifiedPageTypes = {}; // URL -> page type read from its <body> class
     this.visitedPages = [];
     this.navigationPath = []; // Track user's navigation journey
-    this.cart = [];
+    this.cart = []; // { itemId, productId, qty, options }; itemId is known once reconciled with the quote
+    this.cartTotals = null; // { subtotal, itemsQty } of the quote at the last reconciliation
+    this.couponCode = null; // Coupon applied to the quote
     this.interests = this.generateUserInterests();
     this.shoppingIntent = Math.random(); // 0-1, higher = more likely to buy
     this.sessionStartTime = Date.now();
@@ -728,6 +2765,10 @@ class RealUserSession {
     this.isMobileUser = Math.random() < 0.4; // 40% mobile users
     this.currentContext = 'homepage'; // Track where user is in their journey
     this.cartId = null; // For GraphQL cart operations
+    this.browserCache = {}; // Asset URLs already downloaded this session
+    this.viewedProducts = []; // { url, productId } of product pages viewed this session
+    this.sectionsLoaded = false; // Whether customer-data.js would have sections in local storage
+    this.sectionsVersion = null; // private_content_version cookie when sections were last loaded
     
     // Mobile users have different behavior
     if (this.isMobileUser) {
@@ -833,34 +2874,39 @@ class RealUserSession {
 
   // Extract links from a page response with realistic browsing patterns
   extractLinksFromPage(res) {
-    if (!res.body) return { categories: [], products: [], pagination: [], related: [], breadcrumbs: [] };
+    if (!res.body) return { categories: [], products: [], pagination: [], related: [], breadcrumbs: [], layeredNav: null };
     
     const categories = [];
     const products = [];
     const pagination = [];
     const related = [];
     const breadcrumbs = [];
+    let layeredNav = null;
     
     try {
       const doc = res.html();
+      const linkTypes = classifyLinks(doc);
+      
+      // Filters and toolbar options of category listings (shoppers refine long lists)
+      layeredNav = parseLayeredNavigation(doc, res.url);
       
       // Extract navigation breadcrumbs (realistic user behavior)
-      doc.find('.breadcrumbs a, .breadcrumb a, nav a').each((i, el) => {
+      doc.find('.breadcrumbs a, .breadcrumb a, nav a').toArray().forEach(el => {
         try {
           let href = el.attr('href');
-          if (href && href.startsWith('/') && !breadcrumbs.includes(`${BASE_URL}${href}`)) {
-            breadcrumbs.push(`${BASE_URL}${href}`);
+          if (href && href.startsWith('/') && !breadcrumbs.includes(`${storeOrigin()}${href}`)) {
+            breadcrumbs.push(`${storeOrigin()}${href}`);
           }
         } catch (e) {}
       });
       
       // Extract pagination links (users browse through pages)
-      doc.find('a[href*="p="], a[href*="page="], .pages a, .pager a').each((i, el) => {
+      doc.find('a[href*="p="], a[href*="page="], .pages a, .pager a').toArray().forEach(el => {
         try {
           let href = el.attr('href');
           if (href) {
-            if (href.startsWith('/')) href = `${BASE_URL}${href}`;
-            if (href.startsWith(BASE_URL) && !pagination.includes(href)) {
+            if (href.startsWith('/')) href = `${storeOrigin()}${href}`;
+            if (href.startsWith(currentStore.baseUrl) && !pagination.includes(href)) {
               pagination.push(href);
             }
           }
@@ -868,12 +2914,12 @@ class RealUserSession {
       });
       
       // Extract related/recommended products (realistic discovery)
-      doc.find('.related-products a, .upsell-products a, .crosssell a, [class*="related"] a, [class*="recommend"] a').each((i, el) => {
+      doc.find('.related-products a, .upsell-products a, .crosssell a, [class*="related"] a, [class*="recommend"] a').toArray().forEach(el => {
         try {
           let href = el.attr('href');
           if (href && href.includes('.html')) {
-            if (href.startsWith('/')) href = `${BASE_URL}${href}`;
-            if (href.startsWith(BASE_URL) && !related.includes(href)) {
+            if (href.startsWith('/')) href = `${storeOrigin()}${href}`;
+            if (href.startsWith(currentStore.baseUrl) && !related.includes(href)) {
               related.push(href);
             }
           }
@@ -881,17 +2927,17 @@ class RealUserSession {
       });
       
       // Extract all product and category links
-      doc.find('a[href*=".html"]').each((i, el) => {
+      doc.find('a[href*=".html"]').toArray().forEach(el => {
         try {
           let href = el.attr('href');
           if (!href) return;
           
           // Normalize relative URLs
           if (href.startsWith('/')) {
-            href = `${BASE_URL}${href}`;
+            href = `${storeOrigin()}${href}`;
           }
           
-          if (href.includes('.html') && href.startsWith(BASE_URL)) {
+          if (href.includes('.html') && href.startsWith(currentStore.baseUrl)) {
             // Skip excluded URLs
             if (EXCLUDED_URL_SUBSTRINGS.some(s => href.includes(s))) return;
             
@@ -907,14 +2953,14 @@ class RealUserSession {
               parentClass.includes(interest)
             );
             
-            // Enhanced categorization with realistic user behavior
-            if (href.includes('/category') || href.includes('/gear') || href.includes('/training') ||
-                href.includes('/women') || href.includes('/men') || href.includes('/collections') ||
-                linkClass.includes('category') || parentClass.includes('category')) {
+            // Pages already visited keep their verified type; others are typed by their markup
+            const linkType = this.verifiedPageTypes[href] || linkTypes[href] ||
+              (linkClass.includes('category') || parentClass.includes('category') ? 'category' : 'product');
+            if (linkType === 'category') {
               if (!this.discoveredCategories.includes(href) && (isInteresting || Math.random() < 0.4)) {
                 categories.push(href);
               }
-            } else if (!this.discoveredProducts.includes(href) && (isInteresting || Math.random() < 0.3)) {
+            } else if (linkType === 'product' && !this.discoveredProducts.includes(href) && (isInteresting || Math.random() < 0.3)) {
               products.push(href);
             }
           }
@@ -926,12 +2972,12 @@ class RealUserSession {
       // Skip HTML parsing errors
     }
     
-    return { categories, products, pagination, related, breadcrumbs };
+    return { categories, products, pagination, related, breadcrumbs, layeredNav };
   }
 
   // Visit a page and extract links like a real user with comprehensive session management
-  visitPage(url, pageType = 'page') {
-    if (this.visitedPages.includes(url)) return null; // Don't revisit same page
+  visitPage(url, pageType = 'page', allowRevisit = false) {
+    if (!allowRevisit && this.visitedPages.includes(url)) return null; // Don't revisit same page
     
     // Track navigation path
     this.navigationPath.push({ url, pageType, timestamp: Date.now() - this.sessionStartTime });
@@ -946,14 +2992,28 @@ class RealUserSession {
         // Add session-specific headers if available
         ...(this.sessionId && { 'X-Session-ID': this.sessionId }),
         ...(this.customerId && { 'X-Customer-ID': this.customerId }),
-      }
+      },
+      tags: { name: magentoRoute(url, pageType) },
     };
     
-    const res = http.get(url, requestParams);
+    // Bypass the full-page cache for this page type's configured share of requests
+    const bypassCache = shouldBypassCache(pageType);
+    const requestUrl = bypassCache ? applyCacheBypass(url, requestParams) : url;
+    
+    const res = http.get(requestUrl, requestParams);
     const success = res.status >= 200 && res.status < 400;
     
     if (success) {
-      this.visitedPages.push(url);
+      if (!this.visitedPages.includes(url)) this.visitedPages.push(url);
+      
+      // Classify the page from its <body> class and record it under that type
+      const verifiedType = classifyPage(res);
+      this.recordVerifiedPageType(url, verifiedType);
+      recordPageView(res, verifiedType);
+      recordCacheStatus(res, verifiedType, bypassCache);
+      if (verifiedType !== 'other') this.currentContext = verifiedType;
+      if (verifiedType === 'product') this.recordViewedProduct(url, res.body);
+      if (verifiedType === 'cart') this.reconcileCart(parseCartPage(res.body), 'view');
       
       // Comprehensive session data extraction
       this.updateSessionCookies(res);
@@ -966,6 +3026,16 @@ class RealUserSession {
       // Extract customer information if available
       this.extractCustomerInfo(res.body);
       
+      // Load the page's CSS, JS, fonts and images for the configured share of page views
+      if (Math.random() < TRAFFIC_MEDIA_REQUESTS) {
+        this.loadPageAssets(res);
+      }
+      
+      // Then the page's JavaScript reloads private content that is missing or stale
+      if (PRIVATE_CONTENT_ENABLED) {
+        this.refreshCustomerSections(res.url);
+      }
+      
       // Extract new links from this page with enhanced discovery
       const newLinks = this.extractLinksFromPage(res);
       
@@ -975,6 +3045,7 @@ class RealUserSession {
       return { 
         res, 
         success, 
+        pageType: verifiedType,
         newLinks: newLinks 
       };
     }
@@ -982,10 +3053,123 @@ class RealUserSession {
     return { 
       res, 
       success, 
-      newLinks: { categories: [], products: [], pagination: [], related: [], breadcrumbs: [] } 
+      pageType: null,
+      newLinks: { categories: [], products: [], pagination: [], related: [], breadcrumbs: [], layeredNav: null } 
     };
   }
 
+  // Fetch a page's static and media assets in parallel like a browser (k6 opens up to
+  // batchPerHost connections per host), skipping assets already in the browser cache
+  loadPageAssets(res) {
+    let assets = [];
+    try {
+      assets = extractPageAssets(res, this.isMobileUser);
+    } catch (e) {
+      return; // Skip HTML parsing errors
+    }
+
+    const uncached = assets.filter(asset => !this.browserCache[asset.url]);
+    browserCacheHitsCounter.add(assets.length - uncached.length);
+    if (uncached.length === 0) return;
+
+    const responses = http.batch(uncached.map(asset => ({
+      method: 'GET',
+      url: asset.url,
+      params: {
+        jar: this.cookieJar,
+        timeout: HTTP_TIMEOUT,
+        responseType: 'binary', // Bodies are only measured, not parsed
+        headers: {
+          'User-Agent': this.params.headers['User-Agent'],
+          'Accept': ASSET_ACCEPT_HEADERS[asset.kind],
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Accept-Language': currentStore.acceptLanguage,
+          'Referer': res.url,
+        },
+        tags: { name: `asset:${asset.source}` },
+      },
+    })));
+
+    responses.forEach((assetRes, i) => {
+      const { url, source, kind } = uncached[i];
+      const tags = { asset_source: source, kind };
+      const success = assetRes.status >= 200 && assetRes.status < 400;
+
+      (source === 'static' ? staticAssetTrend : mediaAssetTrend).add(assetRes.timings.duration, tags);
+      assetErrorRate.add(!success, tags);
+      if (success) {
+        // Measured from the body: chunked responses (often compressed static files) have no Content-Length
+        assetBytesCounter.add(assetRes.body ? assetRes.body.byteLength : 0, tags);
+        this.browserCache[url] = true;
+      }
+    });
+  }
+
+  // Value of the private_content_version cookie Magento changes on every POST, or null
+  privateContentVersion() {
+    const cookies = this.cookieJar.cookiesForURL(currentStore.baseUrl);
+    return (cookies.private_content_version || [])[0] || null;
+  }
+
+  // Load private-content sections like customer-data.js; an empty list loads every section.
+  // Returns { res, success }.
+  loadCustomerSections(sections, trigger, referer) {
+    const forceNewTimestamp = sections.length > 0;
+    const url = `${currentStore.baseUrl}${CUSTOMER_SECTION_LOAD_PATH}?sections=${encodeURIComponent(sections.join(','))}` +
+      `&force_new_section_timestamp=${forceNewTimestamp}&_=${Date.now()}`;
+    const res = http.get(url, {
+      ...this.params,
+      jar: this.cookieJar,
+      headers: {
+        ...this.params.headers,
+        'Accept': 'application/json, text/javascript, */*; q=0.01',
+        'X-Requested-With': 'XMLHttpRequest',
+        ...(referer && { 'Referer': referer }),
+      },
+      tags: { name: magentoRoute(CUSTOMER_SECTION_LOAD_PATH) },
+    });
+
+    let success = res.status >= 200 && res.status < 300;
+    try {
+      JSON.parse(res.body);
+    } catch (e) {
+      success = false;
+    }
+    sectionLoadTrend.add(res.timings.duration, { trigger });
+    sectionLoadErrorRate.add(!success, { trigger });
+    return { res, success };
+  }
+
+  // Remember that the browser's local storage holds sections for the current private_content_version
+  markSectionsLoaded() {
+    this.sectionsLoaded = true;
+    this.sectionsVersion = this.privateContentVersion();
+  }
+
+  // After a page view: load every section on the session's first page, or when a POST since
+  // the last load changed private_content_version (logins, cart updates, reviews, ...)
+  refreshCustomerSections(pageUrl) {
+    let trigger = null;
+    if (!this.sectionsLoaded) trigger = 'initial';
+    else if (this.privateContentVersion() !== this.sectionsVersion) trigger = 'version_changed';
+    if (!trigger) return;
+
+    if (this.loadCustomerSections([], trigger, pageUrl).success) this.markSectionsLoaded();
+  }
+
+  // Remember a visited URL's verified type and drop it from a discovery list of the wrong type
+  recordVerifiedPageType(url, pageType) {
+    this.verifiedPageTypes[url] = pageType;
+
+    const discoveryLists = { category: this.discoveredCategories, product: this.discoveredProducts };
+    Object.keys(discoveryLists).forEach(listType => {
+      const index = discoveryLists[listType].indexOf(url);
+      if (listType !== pageType && index !== -1) {
+        discoveryLists[listType].splice(index, 1);
+      }
+    });
+  }
+
   // Update session discovery based on page type and user behavior
   updateSessionDiscovery(newLinks, pageType) {
     // Add categories with priority based on context and interests
@@ -1115,7 +3299,7 @@ class RealUserSession {
   }
 
   // Enhanced add to cart with comprehensive session management
-  addToCart(productId, availableOptions = {}) {
+  addToCart(productId, availableOptions = {}, productType = 'simple') {
     if (!this.formKey || !productId) return false;
     
     const addToCartParams = {
@@ -1125,7 +3309,7 @@ class RealUserSession {
         ...this.params.headers,
         'Content-Type': 'application/x-www-form-urlencoded',
         'X-Requested-With': 'XMLHttpRequest',
-        'Referer': this.visitedPages[this.visitedPages.length - 1] || BASE_URL,
+        'Referer': this.visitedPages[this.visitedPages.length - 1] || currentStore.baseUrl,
         // Include session-specific headers
         ...(this.sessionId && { 'X-Session-ID': this.sessionId }),
         ...(this.customerId && { 'X-Customer-ID': this.customerId }),
@@ -1137,17 +3321,47 @@ class RealUserSession {
       'product': productId,
       'form_key': this.formKey,
       'qty': qty,
-      ...availableOptions // Include selected options for configurable products
+      ...availableOptions // Product type fields and custom options from extractProductInfo
     };
 
-    const addToCartRes = http.post(`${BASE_URL}${ADD_TO_CART_PATH}`, addToCartData, addToCartParams);
-    const success = addToCartRes.status >= 200 && addToCartRes.status < 400;
-    
+    const addToCartRes = http.post(`${currentStore.baseUrl}${ADD_TO_CART_PATH}`, addToCartData, withName(addToCartParams, magentoRoute(ADD_TO_CART_PATH)));
+    this.updateSessionCookies(addToCartRes);
+
+    // The AJAX add answers 200 either way. A rejected add (invalid options, out of stock, ...)
+    // sends the shopper back to the product page through `backUrl` instead of the cart.
+    let success = addToCartRes.status >= 200 && addToCartRes.status < 400;
+    try {
+      const result = JSON.parse(addToCartRes.body);
+      if (result && result.backUrl && !result.backUrl.includes(CART_PAGE_PATH)) success = false;
+    } catch (e) {
+      success = false; // Not the JSON answer of an AJAX add
+    }
+
+    // The mini-cart reloads the sections the add invalidated; the reason for a rejection is in `messages`
+    let sectionLoad = null;
+    if (PRIVATE_CONTENT_ENABLED) {
+      sectionLoad = this.loadCustomerSections(ACTION_INVALIDATED_SECTIONS.add_to_cart, 'add_to_cart', addToCartParams.headers['Referer']);
+      if (sectionLoad.success) {
+        if (this.sectionsLoaded) this.markSectionsLoaded();
+        if (sectionMessages(sectionLoad.res.body).some(message => message.type === 'error')) success = false;
+      }
+    }
+
+    addToCartSuccessRate.add(success, { product_type: productType });
     if (success) {
-      this.cart.push({ productId, qty, options: availableOptions });
+      if (productType === 'grouped') {
+        // Each child of a grouped product becomes a quote item of its own
+        Object.keys(availableOptions).filter(field => field.startsWith('super_group[')).forEach(field => {
+          this.cart.push({ itemId: null, productId: field.match(/\d+/)[0], qty: Number(availableOptions[field]), options: {} });
+        });
+      } else {
+        this.cart.push({ itemId: null, productId, qty, options: availableOptions });
+      }
       addToCartTrend.add(addToCartRes.timings.duration);
-      this.updateSessionCookies(addToCartRes);
     }
+
+    // The mini-cart's `cart` section is the quote as Magento saw it after the add
+    if (sectionLoad && sectionLoad.success) this.reconcileCart(sectionCart(sectionLoad.res.body), 'add_to_cart');
     
     return success;
   }
@@ -1164,20 +3378,19 @@ class RealUserSession {
     } else if (action < 0.6) {
       // Remove items (20% chance)
       return this.removeCartItems();
-    } else if (action < 0.8) {
-      // Apply coupon (20% chance)
+    } else if (action < 0.8 && (COUPON_CODES.length > 0 || GENERATED_COUPON_CODES.length > 0)) {
+      // Apply coupon (20% chance, when coupons are configured)
       return this.applyCouponCode();
     }
     
     return false;
   }
 
-  // Update cart quantities with proper session management
+  // Update the quantity of a random quote item through the cart form, as the "Update Shopping Cart" button does
   updateCartQuantities() {
-    if (this.cart.length === 0) return false;
+    const cartItem = pickRandom(this.cart.filter(item => item.itemId));
+    if (!this.formKey || !cartItem) return false;
     
-    // Simulate updating quantity for a random item
-    const cartItem = this.cart[Math.floor(Math.random() * this.cart.length)];
     const newQty = Math.floor(Math.random() * 3) + 1;
     
     const updateParams = {
@@ -1186,36 +3399,34 @@ class RealUserSession {
       headers: {
         ...this.params.headers,
         'Content-Type': 'application/x-www-form-urlencoded',
-        'Referer': `${BASE_URL}${CART_PAGE_PATH}`,
+        'Referer': `${currentStore.baseUrl}${CART_PAGE_PATH}`,
         ...(this.sessionId && { 'X-Session-ID': this.sessionId }),
       },
     };
 
     const updateData = {
       'form_key': this.formKey,
-      [`cart[${cartItem.productId}][qty]`]: newQty,
+      [`cart[${cartItem.itemId}][qty]`]: newQty,
       'update_cart_action': 'update_qty'
     };
 
-    const updateRes = http.post(`${BASE_URL}${CART_PAGE_PATH}`, updateData, updateParams);
-    const success = updateRes.status >= 200 && updateRes.status < 400;
-    
-    if (success) {
-      cartItem.qty = newQty;
-      cartTrend.add(updateRes.timings.duration);
-      this.updateSessionCookies(updateRes);
-    }
-    
-    return success;
+    // updatePost redirects back to the cart page, which shows the quote after the update
+    const updateRes = http.post(`${currentStore.baseUrl}${CART_UPDATE_PATH}`, updateData, withName(updateParams, magentoRoute(CART_UPDATE_PATH)));
+    if (updateRes.status < 200 || updateRes.status >= 400) return false;
+
+    cartTrend.add(updateRes.timings.duration);
+    this.updateSessionCookies(updateRes);
+    cartItem.qty = newQty;
+    this.reconcileCart(parseCartPage(updateRes.body), 'update_qty');
+
+    const updated = this.cart.find(item => item.itemId === cartItem.itemId);
+    return !!updated && updated.qty === newQty;
   }
 
-  // Remove items from cart
-  removeCartItems() {
-    if (this.cart.length === 0) return false;
-    
-    // Remove a random item
-    const itemIndex = Math.floor(Math.random() * this.cart.length);
-    const cartItem = this.cart[itemIndex];
+  // Remove a quote item (a random one by default), as its "Remove item" link (a data-post to checkout/cart/delete) does.
+  // Cleanup removals are left out of cart_duration.
+  removeCartItems(cartItem = pickRandom(this.cart.filter(item => item.itemId)), action = 'remove') {
+    if (!this.formKey || !cartItem) return false;
     
     const removeParams = {
       ...this.params,
@@ -1223,59 +3434,113 @@ class RealUserSession {
       headers: {
         ...this.params.headers,
         'Content-Type': 'application/x-www-form-urlencoded',
-        'Referer': `${BASE_URL}${CART_PAGE_PATH}`,
+        'Referer': `${currentStore.baseUrl}${CART_PAGE_PATH}`,
         ...(this.sessionId && { 'X-Session-ID': this.sessionId }),
       },
     };
 
     const removeData = {
       'form_key': this.formKey,
-      [`cart[${cartItem.productId}][qty]`]: 0,
-      'update_cart_action': 'update_qty'
+      'id': cartItem.itemId,
     };
 
-    const removeRes = http.post(`${BASE_URL}${CART_PAGE_PATH}`, removeData, removeParams);
-    const success = removeRes.status >= 200 && removeRes.status < 400;
-    
-    if (success) {
-      this.cart.splice(itemIndex, 1);
-      cartTrend.add(removeRes.timings.duration);
-      this.updateSessionCookies(removeRes);
+    // Without a `uenc`, delete redirects back to the Referer - the cart page
+    const removeRes = http.post(`${currentStore.baseUrl}${CART_DELETE_PATH}`, removeData, withName(removeParams, magentoRoute(CART_DELETE_PATH)));
+    if (removeRes.status < 200 || removeRes.status >= 400) return false;
+
+    if (action !== 'cleanup') cartTrend.add(removeRes.timings.duration);
+    this.updateSessionCookies(removeRes);
+    this.cart.splice(this.cart.indexOf(cartItem), 1);
+    this.reconcileCart(parseCartPage(removeRes.body), action);
+
+    return !this.cart.some(item => item.itemId === cartItem.itemId);
+  }
+
+  // Compare the session's cart model with the quote Magento reports and adopt the quote's items.
+  // A model that drifted means a cart action failed without an error, so it's counted as a mismatch.
+  reconcileCart(serverCart, action) {
+    if (!serverCart) return;
+
+    const expected = cartQtyByProduct(this.cart);
+    const actual = cartQtyByProduct(serverCart.items);
+    const mismatch = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].some(productId => expected[productId] !== actual[productId]);
+    cartMismatchRate.add(mismatch, { action });
+    this.adoptCart(serverCart);
+  }
+
+  // Take the quote's items and totals as the session's cart model
+  adoptCart(serverCart) {
+    // Keep the options each product was added with; the quote only reports IDs and quantities
+    this.cart = serverCart.items.map(item => {
+      const known = this.cart.find(entry => entry.itemId === item.itemId) || this.cart.find(entry => String(entry.productId) === item.productId);
+      return { ...item, options: known ? known.options : {} };
+    });
+    this.cartTotals = { subtotal: serverCart.subtotal, itemsQty: serverCart.itemsQty };
+  }
+
+  // A pool customer's quote still holds the items of earlier iterations and runs, and a guest
+  // cart is merged into it on login. Adopt that quote as the starting state - nothing failed, so
+  // no mismatch is recorded - then remove the leftovers, so they don't fill the cart up to
+  // MAX_PRODUCTS_IN_CART. Items this session added as a guest stay.
+  startFromCustomerCart() {
+    const sectionLoad = this.loadCustomerSections(['cart'], 'login_check');
+    const serverCart = sectionLoad.success ? sectionCart(sectionLoad.res.body) : null;
+    if (!serverCart) return;
+
+    const sessionProductIds = this.cart.map(item => String(item.productId));
+    this.adoptCart(serverCart);
+
+    // Each removal re-reads the whole quote from the cart page (the section lists 10 items at most)
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const leftover = this.cart.find(item => item.itemId && !sessionProductIds.includes(item.productId));
+      if (!leftover || !this.removeCartItems(leftover, 'cleanup')) break;
     }
-    
-    return success;
   }
 
-  // Apply coupon code
+  // Apply a configured or generated coupon and check Magento's answer against its expected outcome.
+  // An accepted coupon is sometimes removed again.
   applyCouponCode() {
-    const commonCoupons = ['SAVE10', 'WELCOME', 'FIRST20', 'DISCOUNT', 'SALE'];
-    const couponCode = commonCoupons[Math.floor(Math.random() * commonCoupons.length)];
-    
-    const couponParams = {
-      ...this.params,
-      jar: this.cookieJar,  // Use cookie jar for session persistence
-      headers: {
-        ...this.params.headers,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Referer': `${BASE_URL}${CART_PAGE_PATH}`,
-        ...(this.sessionId && { 'X-Session-ID': this.sessionId }),
-      },
-    };
+    const coupon = pickCoupon();
+    if (!this.formKey || !coupon) return false;
 
-    const couponData = {
-      'form_key': this.formKey,
-      'coupon_code': couponCode,
-      'apply_coupon': 'Apply Coupon'
-    };
+    const res = this.submitDataPost(COUPON_POST_PATH, { coupon_code: coupon.code });
+    if (res.status < 200 || res.status >= 400) return false;
+    this.updateSessionCookies(res);
+
+    const message = this.redirectMessage(res, 'coupon');
+    const outcome = message ? (message.type === 'success' ? 'valid' : 'invalid') : 'unknown';
+    const asExpected = outcome === coupon.expected;
+    couponTrend.add(res.timings.duration, { action: 'apply', outcome });
+    couponApplicationsCounter.add(1, { outcome });
+    couponExpectedOutcomeRate.add(asExpected, { expected: coupon.expected });
+    check(res, { [`Coupon is ${coupon.expected}`]: () => asExpected });
+    if (outcome === 'valid') this.couponCode = coupon.code;
+
+    // Back to the cart, which shows the discounted totals
+    this.visitPage(`${currentStore.baseUrl}${CART_PAGE_PATH}`, 'cart', true);
+
+    if (outcome === 'valid' && Math.random() < COUPON_REMOVE_RATE) {
+      sleep(Math.random() * 2 + 1);
+      this.removeCouponCode();
+    }
+    return asExpected;
+  }
+
+  // Cancel the applied coupon, as the "Cancel Coupon" button does (remove=1)
+  removeCouponCode() {
+    if (!this.formKey || !this.couponCode) return false;
+
+    const res = this.submitDataPost(COUPON_POST_PATH, { coupon_code: this.couponCode, remove: 1 });
+    const message = res.status >= 200 && res.status < 400 ? this.redirectMessage(res, 'coupon') : null;
+    const success = !!message && message.type === 'success';
+    couponTrend.add(res.timings.duration, { action: 'remove' });
+    check(res, { 'Coupon removed': () => success });
 
-    const couponRes = http.post(`${BASE_URL}${CART_PAGE_PATH}`, couponData, couponParams);
-    const success = couponRes.status >= 200 && couponRes.status < 400;
-    
     if (success) {
-      cartTrend.add(couponRes.timings.duration);
-      this.updateSessionCookies(couponRes);
+      this.couponCode = null;
+      this.updateSessionCookies(res);
+      this.visitPage(`${currentStore.baseUrl}${CART_PAGE_PATH}`, 'cart', true);
     }
-    
     return success;
   }
 
@@ -1303,7 +3568,7 @@ class RealUserSession {
     
     // First visit registration page to get form key
     group('Visit Registration Page', () => {
-      const regPageResult = this.visitPage(`${BASE_URL}${CUSTOMER_REGISTER_PATH}`, 'customer_register');
+      const regPageResult = this.visitPage(`${currentStore.baseUrl}${CUSTOMER_REGISTER_PATH}`, 'customer_register');
       if (!regPageResult || !regPageResult.success) return false;
     });
     
@@ -1316,7 +3581,7 @@ class RealUserSession {
       headers: {
         ...this.params.headers,
         'Content-Type': 'application/x-www-form-urlencoded',
-        'Referer': `${BASE_URL}${CUSTOMER_REGISTER_PATH}`,
+        'Referer': `${currentStore.baseUrl}${CUSTOMER_REGISTER_PATH}`,
         ...(this.sessionId && { 'X-Session-ID': this.sessionId }),
       },
     };
@@ -1331,7 +3596,7 @@ class RealUserSession {
       'create_account': '1'
     };
 
-    const registerRes = http.post(`${BASE_URL}/customer/account/createpost/`, registerData, registerParams);
+    const registerRes = http.post(`${currentStore.baseUrl}${CUSTOMER_REGISTER_POST_PATH}`, registerData, withName(registerParams, magentoRoute(CUSTOMER_REGISTER_POST_PATH)));
     const success = registerRes.status >= 200 && registerRes.status < 400;
     
     if (success) {
@@ -1351,7 +3616,7 @@ class RealUserSession {
     // Visit account dashboard
     if (Math.random() < ACCOUNT_DASHBOARD_VISIT_RATE) {
       group('Customer Dashboard', () => {
-        const dashboardResult = this.visitPage(`${BASE_URL}${CUSTOMER_DASHBOARD_PATH}`, 'customer_dashboard');
+        const dashboardResult = this.visitPage(`${currentStore.baseUrl}${CUSTOMER_DASHBOARD_PATH}`, 'customer_dashboard');
         if (dashboardResult && dashboardResult.success) {
           check(dashboardResult.res, { 'Customer dashboard status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
         }
@@ -1360,76 +3625,1193 @@ class RealUserSession {
       sleep(Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME);
     }
 
-    // Check order history
-    if (Math.random() < ORDER_HISTORY_CHECK_RATE) {
-      group('Order History', () => {
-        const orderResult = this.visitPage(`${BASE_URL}${ORDER_HISTORY_PATH}`, 'order_history');
-        if (orderResult && orderResult.success) {
-          check(orderResult.res, { 'Order history status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-        }
-      });
-      
-      sleep(Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME);
+    // Check order history
+    if (Math.random() < ORDER_HISTORY_CHECK_RATE) {
+      group('Order History', () => {
+        const orderResult = this.visitPage(`${currentStore.baseUrl}${ORDER_HISTORY_PATH}`, 'order_history');
+        if (orderResult && orderResult.success) {
+          check(orderResult.res, { 'Order history status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+        }
+      });
+      
+      sleep(Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME);
+    }
+
+    // Access address book
+    if (Math.random() < ADDRESS_BOOK_ACCESS_RATE) {
+      group('Address Book', () => {
+        const addressResult = this.visitPage(`${currentStore.baseUrl}${ADDRESS_BOOK_PATH}`, 'address_book');
+        if (addressResult && addressResult.success) {
+          check(addressResult.res, { 'Address book status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+        }
+      });
+    }
+    
+    return true;
+  }
+
+  // Remember a viewed product with its ID, for the wishlist and compare flows
+  recordViewedProduct(url, html) {
+    const { productId } = extractProductInfo(html);
+    if (productId && !this.viewedProducts.some(product => product.productId === productId)) {
+      this.viewedProducts.push({ url, productId });
+    }
+  }
+
+  // Submit a storefront action the way Luma's data-post links do: a form POST with the form key.
+  // Redirects aren't followed; flows visit the page the shopper lands on themselves.
+  submitDataPost(path, data) {
+    return http.post(`${currentStore.baseUrl}${path}`, { ...data, form_key: this.formKey }, {
+      ...this.params,
+      jar: this.cookieJar,
+      redirects: 0,
+      headers: {
+        ...this.params.headers,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Referer': this.visitedPages[this.visitedPages.length - 1] || currentStore.baseUrl,
+      },
+      tags: { name: magentoRoute(path) },
+    });
+  }
+
+  // The newest success or error message a redirecting POST left for the next page: from the
+  // redirect's mage-messages cookie, or else from the `messages` section (loaded with `trigger`).
+  // The cookie is deleted as the storefront does once it's read.
+  redirectMessage(res, trigger) {
+    let messages = cookieMessages(res);
+    if (messages.length > 0) {
+      this.cookieJar.set(currentStore.baseUrl, 'mage-messages', '', { path: '/', expires: new Date(0).toUTCString() });
+    } else if (PRIVATE_CONTENT_ENABLED) {
+      const sectionLoad = this.loadCustomerSections(['messages'], trigger, res.headers['Location'] || currentStore.baseUrl);
+      if (sectionLoad.success) messages = sectionMessages(sectionLoad.res.body);
+    }
+    return messages.filter(message => message.type === 'success' || message.type === 'error').pop() || null;
+  }
+
+  // Whether a redirecting POST succeeded: a 2xx/3xx answer without an error message. Magento
+  // redirects rejected actions too, with the reason as an error message.
+  dataPostSucceeded(res, trigger) {
+    if (res.status < 200 || res.status >= 400) return false;
+    const message = this.redirectMessage(res, trigger);
+    return !message || message.type !== 'error';
+  }
+
+  // Add a product to the logged-in customer's wishlist; guests are sent to the login page
+  addToWishlist(productId) {
+    if (!this.formKey || !productId || !this.isLoggedIn) return false;
+
+    const res = this.submitDataPost(AJAX_WISHLIST_PATH, { product: productId });
+    const location = res.headers['Location'] || '';
+    const success = !location.includes(CUSTOMER_LOGIN_PATH) && this.dataPostSucceeded(res, 'wishlist');
+    wishlistActionTrend.add(res.timings.duration, { action: 'add' });
+    wishlistActionSuccessRate.add(success, { action: 'add' });
+    check(res, { 'Wishlist add accepted': () => success });
+    this.updateSessionCookies(res);
+    return success;
+  }
+
+  // Open the wishlist; returns its items as { itemId, productId }, or null if it didn't load
+  viewWishlist() {
+    const result = this.visitPage(`${currentStore.baseUrl}${WISHLIST_PATH}`, 'wishlist', true);
+    const success = !!(result && result.success && result.pageType === 'customer');
+    if (result) {
+      wishlistActionTrend.add(result.res.timings.duration, { action: 'view' });
+      wishlistActionSuccessRate.add(success, { action: 'view' });
+      check(result.res, { 'Wishlist page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+    }
+    if (!success) return null;
+
+    // Luma renders each item as <li id="item_{id}"> with an edit link naming its product
+    const productIds = {};
+    (result.res.body.match(/wishlist\/index\/configure\/id\/\d+\/product_id\/\d+/g) || []).forEach(link => {
+      const [, itemId, productId] = link.match(/id\/(\d+)\/product_id\/(\d+)/);
+      productIds[itemId] = productId;
+    });
+    const itemIds = [...new Set((result.res.body.match(/id="item_\d+"/g) || []).map(attr => attr.match(/\d+/)[0]))];
+    return itemIds.map(itemId => ({ itemId, productId: productIds[itemId] || null }));
+  }
+
+  // Move a wishlist item to the cart. Items that need options redirect to their configure page instead.
+  moveWishlistItemToCart(item) {
+    if (!this.formKey || this.cart.length >= MAX_PRODUCTS_IN_CART) return false;
+
+    const res = this.submitDataPost(WISHLIST_MOVE_TO_CART_PATH, { item: item.itemId, qty: 1 });
+    const location = res.headers['Location'] || '';
+    const success = !location.includes('/configure/') && this.dataPostSucceeded(res, 'wishlist');
+    wishlistActionTrend.add(res.timings.duration, { action: 'move_to_cart' });
+    wishlistActionSuccessRate.add(success, { action: 'move_to_cart' });
+    check(res, { 'Wishlist item moved to cart': () => success });
+
+    if (success) {
+      this.cart.push({ itemId: null, productId: item.productId, qty: 1, options: {} });
+      this.updateSessionCookies(res);
+    }
+    return success;
+  }
+
+  // Remove an item from the wishlist
+  removeWishlistItem(item) {
+    if (!this.formKey) return false;
+
+    const res = this.submitDataPost(WISHLIST_REMOVE_PATH, { item: item.itemId });
+    const success = this.dataPostSucceeded(res, 'wishlist');
+    wishlistActionTrend.add(res.timings.duration, { action: 'remove' });
+    wishlistActionSuccessRate.add(success, { action: 'remove' });
+    check(res, { 'Wishlist item removed': () => success });
+    this.updateSessionCookies(res);
+    return success;
+  }
+
+  // Add a product to the compare list (guests have one too)
+  addToCompare(productId) {
+    if (!this.formKey || !productId) return false;
+
+    const res = this.submitDataPost(AJAX_COMPARE_ADD_PATH, { product: productId });
+    const success = this.dataPostSucceeded(res, 'compare');
+    compareActionTrend.add(res.timings.duration, { action: 'add' });
+    compareActionSuccessRate.add(success, { action: 'add' });
+    check(res, { 'Compare add accepted': () => success });
+    this.updateSessionCookies(res);
+    return success;
+  }
+
+  // Open the compare page; returns whether it listed products
+  viewCompare() {
+    const result = this.visitPage(`${currentStore.baseUrl}${COMPARE_PRODUCTS_PATH}`, 'product_compare', true);
+    if (!result) return false;
+
+    // An empty list renders the page without the comparison table
+    const success = result.success && result.pageType === 'compare' && /id="product-comparison"/.test(result.res.body);
+    compareActionTrend.add(result.res.timings.duration, { action: 'view' });
+    compareActionSuccessRate.add(success, { action: 'view' });
+    check(result.res, {
+      'Compare page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400,
+      'Compare page lists products': () => success,
+    });
+    return success;
+  }
+
+  // Clear the compare list
+  clearCompare() {
+    if (!this.formKey) return false;
+
+    const res = this.submitDataPost(COMPARE_CLEAR_PATH, {});
+    const success = this.dataPostSucceeded(res, 'compare');
+    compareActionTrend.add(res.timings.duration, { action: 'clear' });
+    compareActionSuccessRate.add(success, { action: 'clear' });
+    check(res, { 'Compare list cleared': () => success });
+    this.updateSessionCookies(res);
+    return success;
+  }
+
+  // Complete checkout flow for registered users
+  completeRegisteredUserCheckout() {
+    if (!this.isLoggedIn || this.cart.length === 0) return false;
+    
+    // Registered users have higher checkout completion rate
+    if (Math.random() < REGISTERED_USER_CHECKOUT_RATE) {
+      group('Complete Registered User Checkout', () => {
+        // Visit checkout
+        const checkoutResult = this.visitPage(`${currentStore.baseUrl}${CHECKOUT_PAGE_PATH}`, 'checkout');
+        if (checkoutResult && checkoutResult.success) {
+          check(checkoutResult.res, { 'Registered checkout status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+          this.updateSessionCookies(checkoutResult.res);
+          
+          // Submit shipping and payment like the storefront checkout does
+          placeOrderStep(this, checkoutResult);
+        }
+      });
+      
+      return true;
+    }
+    
+    return false;
+  }
+
+  // Check the login state the way the storefront does: through the customer
+  // private-content section, which is only populated for a logged-in session
+  fetchLoginState() {
+    const sectionRes = this.loadCustomerSections(['customer'], 'login_check').res;
+
+    try {
+      const customer = JSON.parse(sectionRes.body).customer;
+      return !!(customer && customer.firstname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Log in an existing customer through the storefront login form
+  loginCustomer(credentials) {
+    if (this.isLoggedIn) return true;
+
+    const loginPageResult = this.visitPage(`${currentStore.baseUrl}${CUSTOMER_LOGIN_PATH}`, 'customer_login');
+    if (!loginPageResult || !loginPageResult.success) return false;
+    const formKey = extractFormKey(loginPageResult.res.body) || this.formKey;
+
+    sleep(Math.random() * 2 + 1); // Time to type credentials
+
+    const loginParams = {
+      ...this.params,
+      jar: this.cookieJar,
+      headers: {
+        ...this.params.headers,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Referer': `${currentStore.baseUrl}${CUSTOMER_LOGIN_PATH}`,
+      },
+    };
+
+    const loginData = {
+      'form_key': formKey,
+      'login[username]': credentials.email,
+      'login[password]': credentials.password,
+      'send': '',
+    };
+
+    const loginRes = http.post(`${currentStore.baseUrl}${CUSTOMER_LOGIN_POST_PATH}`, loginData, withName(loginParams, magentoRoute(CUSTOMER_LOGIN_POST_PATH)));
+    customerLoginTrend.add(loginRes.timings.duration);
+    this.updateSessionCookies(loginRes);
+
+    // A successful login changes the customer_logged_in HTTP context, which Magento
+    // exposes through the X-Magento-Vary cookie and the customer section
+    const varyCookie = this.cookieJar.cookiesForURL(currentStore.baseUrl)['X-Magento-Vary'];
+    this.isLoggedIn = this.fetchLoginState();
+
+    check(loginRes, {
+      'Customer login status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400,
+      'Customer login set X-Magento-Vary': () => !!(varyCookie && varyCookie.length > 0),
+      'Customer is logged in after login': () => this.isLoggedIn,
+    });
+    customerLoginSuccessRate.add(this.isLoggedIn);
+
+    if (this.isLoggedIn) {
+      this.formKey = formKey;
+      this.customerData = { email: credentials.email, username: credentials.email };
+      this.startFromCustomerCart();
+    }
+
+    return this.isLoggedIn;
+  }
+
+  // Log the customer out and confirm the session is anonymous again
+  logoutCustomer() {
+    if (!this.isLoggedIn) return true;
+
+    const logoutRes = http.get(`${currentStore.baseUrl}${CUSTOMER_LOGOUT_PATH}`, {
+      ...this.params,
+      jar: this.cookieJar,
+      headers: {
+        ...this.params.headers,
+        'Referer': this.visitedPages[this.visitedPages.length - 1] || currentStore.baseUrl,
+      },
+      tags: { name: magentoRoute(CUSTOMER_LOGOUT_PATH) },
+    });
+    this.updateSessionCookies(logoutRes);
+    this.isLoggedIn = this.fetchLoginState();
+
+    check(logoutRes, {
+      'Customer logout status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400,
+      'Customer is logged out after logout': () => !this.isLoggedIn,
+    });
+
+    if (!this.isLoggedIn) {
+      this.customerData = null;
+      this.customerId = null;
+    }
+
+    return !this.isLoggedIn;
+  }
+
+  // Params for the JSON requests the checkout JavaScript sends
+  getCheckoutJsonParams() {
+    return {
+      ...this.params,
+      jar: this.cookieJar,
+      headers: {
+        ...this.params.headers,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest',
+        'Referer': `${currentStore.baseUrl}${CHECKOUT_PAGE_PATH}`,
+      },
+    };
+  }
+
+  // Place an order with the same REST calls the Luma checkout makes:
+  // estimate shipping methods → shipping-information → payment-information.
+  // Returns { orderId, incrementId }, or null if any step failed.
+  placeOrder(checkoutRes) {
+    // Guests use the masked quote ID from window.checkoutConfig, customers use "mine"
+    let cartPath = null;
+    if (this.isLoggedIn) {
+      cartPath = 'carts/mine';
+    } else {
+      // For guests, Magento puts the masked ID in quoteData.entity_id
+      const config = readCheckoutConfig(checkoutRes.body);
+      const maskedId = config && config.quoteData && config.quoteData.entity_id;
+      if (maskedId) cartPath = `guest-carts/${maskedId}`;
+    }
+    if (!cartPath) return null;
+
+    const jsonParams = this.getCheckoutJsonParams();
+    const email = this.customerData ? this.customerData.email : `${USER_PREFIX}guest_${Date.now()}_${Math.floor(Math.random() * 9999)}@loadtest.example.com`;
+    const address = { ...CHECKOUT_ADDRESS, email };
+
+    // 1. Estimate shipping methods for the entered address
+    const estimateRes = http.post(
+      `${currentStore.baseUrl}${restApiPrefix()}/${cartPath}/estimate-shipping-methods`,
+      JSON.stringify({ address: { country_id: address.country_id, region_id: address.region_id, region: address.region, postcode: address.postcode } }),
+      withName(jsonParams, restRoute('POST', `${restApiPrefix()}/${cartPath}/estimate-shipping-methods`))
+    );
+    checkoutTrend.add(estimateRes.timings.duration);
+    if (!check(estimateRes, { 'Estimate shipping methods status is 200': (r) => r.status === 200 })) return null;
+
+    let methods = [];
+    try {
+      methods = (JSON.parse(estimateRes.body) || []).filter(m => m.available !== false);
+    } catch (e) {
+      // Unparseable response - treated as no methods
+    }
+    const method = methods.find(m => `${m.carrier_code}_${m.method_code}` === CHECKOUT_SHIPPING_METHOD) ||
+      (CHECKOUT_SHIPPING_METHOD ? null : methods[0]);
+    if (!method) return null;
+
+    sleep(Math.random() * 3 + 2); // Time to fill the shipping form
+
+    // 2. Save shipping information
+    const shippingRes = http.post(
+      `${currentStore.baseUrl}${restApiPrefix()}/${cartPath}/shipping-information`,
+      JSON.stringify({
+        addressInformation: {
+          shipping_address: address,
+          billing_address: address,
+          shipping_carrier_code: method.carrier_code,
+          shipping_method_code: method.method_code,
+        },
+      }),
+      withName(jsonParams, restRoute('POST', `${restApiPrefix()}/${cartPath}/shipping-information`))
+    );
+    checkoutTrend.add(shippingRes.timings.duration);
+    if (!check(shippingRes, { 'Shipping information status is 200': (r) => r.status === 200 })) return null;
+
+    sleep(Math.random() * 2 + 1); // Time to choose a payment method
+
+    // 3. Save payment information and place the order
+    const paymentBody = {
+      paymentMethod: { method: CHECKOUT_PAYMENT_METHOD },
+      billingAddress: address,
+    };
+    if (!this.isLoggedIn) paymentBody.email = email;
+
+    const paymentRes = http.post(
+      `${currentStore.baseUrl}${restApiPrefix()}/${cartPath}/payment-information`,
+      JSON.stringify(paymentBody),
+      withName(jsonParams, restRoute('POST', `${restApiPrefix()}/${cartPath}/payment-information`))
+    );
+    orderPlacementTrend.add(paymentRes.timings.duration);
+    if (!check(paymentRes, { 'Payment information status is 200': (r) => r.status === 200 })) return null;
+    this.updateSessionCookies(paymentRes);
+    const orderId = paymentRes.body.replace(/"/g, '');
+
+    // 4. Read the order increment ID from the success page
+    const successResult = this.visitPage(`${currentStore.baseUrl}${CHECKOUT_SUCCESS_PATH}`, 'checkout_success');
+    let incrementId = null;
+    if (successResult && successResult.success) {
+      const orderMatch = successResult.res.body && successResult.res.body.match(/order-number[^>]*>\s*<strong>([^<]+)<\/strong>|Your order # is:\s*<span>([^<]+)<\/span>/);
+      if (orderMatch) incrementId = (orderMatch[1] || orderMatch[2]).trim();
+    }
+
+    // The quote is converted into an order, so the cart is now empty
+    this.cart = [];
+    return { orderId, incrementId };
+  }
+}
+
+// =============================================================================
+// JOURNEY SCHEDULER
+// =============================================================================
+
+// Journey implementations keyed by the names used in JOURNEY_WEIGHTS
+const JOURNEYS = {
+  comprehensive_shopping: realUserBrowsingSession,
+  browse_purchase: browseAndPurchaseJourney,
+  search_purchase: searchAndPurchaseJourney,
+  cart_abandonment: cartAbandonmentJourney,
+  window_shopping: windowShoppingJourney,
+  quick_buyer: quickBuyerJourney,
+  graphql_headless: graphqlHeadlessJourney,
+};
+
+// Helper to pick an item by weight. Weights are normalised, so they don't have to sum to exactly 1.0.
+function pickWeighted(items, weightOf) {
+  const totalWeight = items.reduce((sum, item) => sum + Math.max(weightOf(item), 0), 0);
+
+  let roll = Math.random() * totalWeight;
+  for (const item of items) {
+    roll -= Math.max(weightOf(item), 0);
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+// Helper to pick a journey name according to the configured percentages
+function selectJourney() {
+  const names = Object.keys(JOURNEY_WEIGHTS);
+  if (names.every(name => JOURNEY_WEIGHTS[name] <= 0)) {
+    throw new Error('At least one userBehavior.*Percentage setting must be greater than 0');
+  }
+  return pickWeighted(names, name => JOURNEY_WEIGHTS[name]);
+}
+
+// Each VU gets its own pool account, so no two VUs share a customer (or its quote).
+// k6 numbers VUs across all scenarios, so integration API and admin VUs leave their rows unused.
+// VUs beyond the pool size browse as guests, as do sessions on a store other than the
+// account's optional `store` column (customer accounts are usually scoped per website).
+function getAssignedCustomer() {
+  const index = exec.vu.idInTest - 1;
+  const customer = index >= 0 && index < CUSTOMER_POOL.length ? CUSTOMER_POOL[index] : null;
+  return customer && (!customer.store || customer.store === currentStore.code) ? customer : null;
+}
+
+// Pick a store view by its configured traffic weight
+function selectStore() {
+  return pickWeighted(STORES, store => store.weight);
+}
+
+// The default function is the main loop for each virtual user.
+export default function (data) {
+  // Assign this session to a store view and tag every request it makes
+  currentStore = selectStore();
+  exec.vu.metrics.tags.store = currentStore.code;
+  const storeData = data.stores[currentStore.code];
+
+  // Create a real user session for this virtual user
+  const params = getHttpParams();
+  const user = new RealUserSession(params);
+
+  // Pick this iteration's journey and tag every request it makes
+  const journey = selectJourney();
+  exec.vu.metrics.tags.journey = journey;
+
+  const journeyStart = Date.now();
+
+  // Returning customers log in with the account assigned to this VU
+  const customer = getAssignedCustomer();
+  if (customer && Math.random() < CUSTOMER_LOGIN_RATE) {
+    group('Customer Login', function () {
+      if (user.loginCustomer(customer)) {
+        sleep(Math.random() * 2 + 1);
+        user.accessCustomerAccount();
+      }
+    });
+  }
+
+  JOURNEYS[journey](user, storeData);
+
+  if (user.isLoggedIn && customer && Math.random() < CUSTOMER_LOGOUT_RATE) {
+    group('Customer Logout', function () {
+      user.logoutCustomer();
+    });
+  }
+
+  journeyIterations.add(1, { journey });
+  journeyDurationTrend.add(Date.now() - journeyStart, { journey });
+}
+
+// =============================================================================
+// INTEGRATION API SCENARIO
+// =============================================================================
+
+// Headers of an authenticated REST call
+function integrationHeaders(token) {
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json',
+    'Accept': 'application/json',
+    'User-Agent': USER_AGENT,
+  };
+}
+
+// Bearer token for the integration scenario: a configured integration access token, or an
+// admin token. Admin tokens expire after 4 hours by default (Stores > Configuration > Services > OAuth).
+function getIntegrationToken() {
+  if (INTEGRATION_ACCESS_TOKEN) return INTEGRATION_ACCESS_TOKEN;
+
+  const res = http.post(
+    `${BASE_URL}/rest/V1/integration/admin/token`,
+    JSON.stringify({ username: INTEGRATION_ADMIN_USERNAME, password: INTEGRATION_ADMIN_PASSWORD }),
+    {
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'User-Agent': USER_AGENT },
+      timeout: '30s',
+      tags: { name: 'setup:integration_token' },
+    }
+  );
+  if (res.status !== 200) {
+    throw new Error(`Admin token request returned ${res.status} - check integrationApi.adminUsername/adminPassword (admin 2FA must allow API tokens)`);
+  }
+  return JSON.parse(res.body);
+}
+
+// Authenticate and collect the SKUs the operation templates write to
+function setupIntegrationApi() {
+  const token = getIntegrationToken();
+  if (INTEGRATION_SKUS.length > 0) {
+    return { token, skus: INTEGRATION_SKUS };
+  }
+
+  const res = http.get(
+    `${BASE_URL}/rest/${INTEGRATION_STORE_CODE}/V1/products?searchCriteria[pageSize]=${INTEGRATION_SKU_SAMPLE_SIZE}&fields=items[sku]`,
+    { headers: integrationHeaders(token), timeout: '30s', tags: { name: 'setup:integration_skus' } }
+  );
+
+  let skus = [];
+  try {
+    skus = (JSON.parse(res.body).items || []).map(item => item.sku);
+  } catch (e) {
+    // Non-JSON response - reported below
+  }
+  if (skus.length === 0 && INTEGRATION_OPERATIONS.some(operation => /\{\{sku\}\}/.test(`${operation.path} ${JSON.stringify(operation.body || '')}`))) {
+    throw new Error(`Could not sample SKUs from /V1/products (status ${res.status}) - set integrationApi.skus`);
+  }
+
+  console.log(`Integration API: ${skus.length} SKUs sampled, ${INTEGRATION_OPERATIONS.length} operations at ${INTEGRATION_STAGES ? 'staged rates' : `${INTEGRATION_RATE}/${INTEGRATION_TIME_UNIT}`}`);
+  return { token, skus };
+}
+
+// Pick an operation by its configured weight
+function selectIntegrationOperation() {
+  return pickWeighted(INTEGRATION_OPERATIONS, operation => operation.weight);
+}
+
+// Values for the {{placeholder}} templates of one request
+function integrationTemplateValues(skus) {
+  return {
+    sku: pickRandom(skus),
+    page: Math.floor(Math.random() * INTEGRATION_MAX_PAGE) + 1,
+    quantity: Math.floor(Math.random() * 100),
+    price: Math.round((Math.random() * 200 + 5) * 100) / 100,
+    sourceCode: INTEGRATION_SOURCE_CODE,
+    since: new Date(Date.now() - 24 * 3600 * 1000).toISOString().replace('T', ' ').slice(0, 19), // Last 24 hours
+    timestamp: Date.now(),
+  };
+}
+
+// Fill a path template; values are URL-encoded
+function renderPathTemplate(path, values) {
+  return path.replace(/\{\{(\w+)\}\}/g, (match, name) => encodeURIComponent(values[name]));
+}
+
+// Fill a body template. A string that is only a placeholder ("{{quantity}}") takes the
+// value's JSON type, so numbers stay numbers; placeholders inside strings are substituted.
+function renderBodyTemplate(body, values) {
+  const json = typeof body === 'string' ? body : JSON.stringify(body);
+  return json
+    .replace(/"\{\{(\w+)\}\}"/g, (match, name) => JSON.stringify(values[name]))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => String(values[name]).replace(/["\\]/g, '\\$&'));
+}
+
+// Main loop of the integration_api scenario: one weighted REST operation per iteration
+export function integrationApiTraffic(data) {
+  const operation = selectIntegrationOperation();
+  const values = integrationTemplateValues(data.integration.skus);
+  const body = operation.body === undefined || operation.body === null ? null : renderBodyTemplate(operation.body, values);
+
+  const res = http.request(
+    operation.method,
+    `${BASE_URL}/rest/${INTEGRATION_STORE_CODE}${renderPathTemplate(operation.path, values)}`,
+    body,
+    { headers: integrationHeaders(data.integration.token), timeout: HTTP_TIMEOUT, tags: { name: `integration:${operation.name}` } }
+  );
+
+  const tags = { operation: operation.name };
+  const ok = res.status >= 200 && res.status < 300;
+  integrationApiTrend.add(res.timings.duration, tags);
+  integrationApiErrorRate.add(!ok, tags);
+  check(res, { [`Integration ${operation.name} status is 2xx`]: () => ok }, tags);
+}
+
+// =============================================================================
+// ADMIN PANEL SCENARIO
+// =============================================================================
+
+// Admin session of this VU: { formKey, menuHtml }. Admin VUs only run adminPanelSession(),
+// so the session is kept across iterations until Magento expires it.
+let adminSession = null;
+
+// Listing UI components behind the admin grids
+const ADMIN_GRIDS = {
+  product: { route: 'catalog/product', namespace: 'product_listing', sortField: 'entity_id' },
+  order: { route: 'sales/order', namespace: 'sales_order_grid', sortField: 'created_at' },
+  customer: { route: 'customer/index', namespace: 'customer_listing', sortField: 'entity_id' },
+};
+
+// Merchandiser actions, one per admin iteration
+const ADMIN_ACTIONS = {
+  product_grid: () => adminGrid('product', { search: pickRandom(ADMIN_SEARCH_TERMS) || '' }),
+  order_grid: () => adminGrid('order', { 'filters[status]': pickRandom(['pending', 'processing', 'complete']) }),
+  customer_grid: () => adminGrid('customer', { 'paging[current]': Math.floor(Math.random() * 3) + 1 }),
+  product_save: adminSaveProduct,
+  order_view: adminViewOrder,
+};
+
+// True when Magento answered with the login form, 2FA setup or an expired-AJAX response
+function isAdminLoggedOut(res) {
+  const body = typeof res.body === 'string' ? res.body : '';
+  return body.includes('name="login[username]"') || /"ajaxExpired"/.test(body) || /\/tfa\//.test(res.url);
+}
+
+// Make an admin request and record it. Returns the response, or null when it failed;
+// an expired session is dropped so the next iteration logs in again.
+function adminRequest(request, method, url, { body = null, headers = {}, isValid = () => true } = {}) {
+  const res = http.request(method, url, body, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept-Language': ACCEPT_LANGUAGE, ...headers },
+    timeout: HTTP_TIMEOUT,
+    tags: { name: `admin:${request}` },
+  });
+
+  const loggedOut = request !== 'login_page' && isAdminLoggedOut(res);
+  const ok = res.status >= 200 && res.status < 400 && !loggedOut && isValid(res);
+  adminRequestTrend.add(res.timings.duration, { request });
+  adminErrorRate.add(!ok, { request });
+  check(res, { [`Admin ${request} succeeded`]: () => ok }, { request });
+
+  if (loggedOut) adminSession = null;
+  return ok ? res : null;
+}
+
+// Log in and keep the dashboard's form key and menu (its links carry the URL secret keys)
+function adminLogin() {
+  const loginUrl = `${BASE_URL}${ADMIN_PATH}/`;
+  const loginPage = adminRequest('login_page', 'GET', loginUrl);
+  const formKey = loginPage && extractFormKey(loginPage.body);
+  if (!formKey) return false;
+
+  const res = adminRequest('login', 'POST', loginUrl, {
+    body: { form_key: formKey, 'login[username]': ADMIN_USERNAME, 'login[password]': ADMIN_PASSWORD },
+    headers: { 'Referer': loginUrl },
+  });
+  if (!res) {
+    console.log(`Admin login as ${ADMIN_USERNAME} failed - check the credentials, and that 2FA is disabled on this environment`);
+    return false;
+  }
+
+  const dashboardFormKey = res.body.match(/FORM_KEY\s*=\s*'([^']+)'/);
+  adminSession = { formKey: dashboardFormKey ? dashboardFormKey[1] : formKey, menuHtml: res.body };
+  return true;
+}
+
+// Admin URL of a menu route, including its secret key when "Add Secret Key to URLs" is on
+function adminMenuUrl(route) {
+  const link = adminSession.menuHtml.match(new RegExp(`href="([^"]*${ADMIN_PATH}/${route}/(?:index/)?(?:key/\\w+/)?)"`));
+  return link ? link[1] : `${BASE_URL}${ADMIN_PATH}/${route}/`;
+}
+
+// Open a grid page, then load its rows the way the listing component does. Returns the rows.
+function adminGrid(type, params) {
+  const grid = ADMIN_GRIDS[type];
+  const page = adminRequest(`${type}_grid`, 'GET', adminMenuUrl(grid.route));
+  if (!page) return [];
+
+  const updateUrl = (page.body.match(/"update_url":"[^"]+"/g) || [])
+    .map(match => JSON.parse(match.slice('"update_url":'.length)))
+    .find(url => url.includes('mui/index/render'));
+  if (!updateUrl) return [];
+
+  const query = {
+    namespace: grid.namespace,
+    search: '',
+    'filters[placeholder]': 'true',
+    'paging[pageSize]': ADMIN_GRID_PAGE_SIZE,
+    'paging[current]': 1,
+    'sorting[field]': grid.sortField,
+    'sorting[direction]': 'desc',
+    isAjax: 'true',
+    ...params,
+  };
+  const queryString = Object.keys(query).map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`).join('&');
+  const res = adminRequest(`${type}_grid_data`, 'GET', `${updateUrl}${updateUrl.includes('?') ? '&' : '?'}${queryString}`, {
+    headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+  });
+  if (!res) return [];
+
+  try {
+    return JSON.parse(res.body).items || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Helper to find the first value stored under a key anywhere in a parsed JSON tree
+function findJsonKey(node, key) {
+  if (!node || typeof node !== 'object') return undefined;
+  if (key in node) return node[key];
+  for (const child of Object.values(node)) {
+    const found = findJsonKey(child, key);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Read the product form's data and save URL from the x-magento-init config of the edit page
+function parseProductForm(html) {
+  const scripts = html.match(/<script type="text\/x-magento-init">[\s\S]*?<\/script>/g) || [];
+  const formScript = scripts.find(script => script.includes('product_form_data_source'));
+  if (!formScript) return null;
+
+  let dataSource;
+  try {
+    dataSource = findJsonKey(JSON.parse(formScript.replace(/^<script[^>]*>|<\/script>$/g, '')), 'product_form_data_source');
+  } catch (e) {
+    return null;
+  }
+  const config = dataSource && dataSource.config;
+  const entry = config && config.data && Object.values(config.data).find(item => item && item.product);
+  return entry ? { product: entry.product, submitUrl: config.submit_url || null } : null;
+}
+
+// Helper to flatten nested form data into PHP-style field names (product[stock_data][qty])
+function flattenFormData(value, prefix, fields = {}) {
+  if (value === null || value === undefined) return fields;
+  if (typeof value === 'object') {
+    Object.keys(value).forEach(key => flattenFormData(value[key], `${prefix}[${key}]`, fields));
+  } else {
+    fields[prefix] = typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+  }
+  return fields;
+}
+
+// Open a product from the grid and save it with its current data. Magento still reindexes
+// the product and cleans its cache tags, as it does for a real edit.
+function adminSaveProduct() {
+  const item = pickRandom(adminGrid('product', { 'paging[current]': Math.floor(Math.random() * 3) + 1 })
+    .filter(row => row.actions && row.actions.edit));
+  if (!item) return;
+
+  const editPage = adminRequest('product_edit', 'GET', item.actions.edit.href);
+  const form = editPage && parseProductForm(editPage.body);
+  if (!form || !adminSession) return;
+
+  adminRequest('product_save', 'POST', form.submitUrl || `${BASE_URL}${ADMIN_PATH}/catalog/product/save/id/${item.entity_id}/`, {
+    body: {
+      form_key: adminSession.formKey,
+      id: item.entity_id,
+      type: form.product.type_id || item.type_id,
+      set: form.product.attribute_set_id || item.attribute_set_id,
+      store: 0,
+      ...flattenFormData(form.product, 'product'),
+    },
+    headers: { 'Referer': item.actions.edit.href },
+    isValid: (r) => !r.body.includes('messages-message-error'),
+  });
+}
+
+// Open an order from the order grid
+function adminViewOrder() {
+  const order = pickRandom(adminGrid('order', {}).filter(row => row.actions && row.actions.view));
+  if (order) {
+    adminRequest('order_view', 'GET', order.actions.view.href);
+  }
+}
+
+// Main loop of the admin_panel scenario: log in when needed, then one merchandiser action
+export function adminPanelSession() {
+  if (!adminSession && !adminLogin()) {
+    sleep(ADMIN_MAX_THINK_TIME); // Don't hammer the login form
+    return;
+  }
+
+  const action = pickWeighted(Object.keys(ADMIN_ACTION_WEIGHTS), name => ADMIN_ACTION_WEIGHTS[name]);
+  const actionStart = Date.now();
+  group('Admin Panel', function () {
+    ADMIN_ACTIONS[action]();
+  });
+  adminActionTrend.add(Date.now() - actionStart, { action });
+
+  sleep(Math.random() * (ADMIN_MAX_THINK_TIME - ADMIN_MIN_THINK_TIME) + ADMIN_MIN_THINK_TIME);
+}
+
+// =============================================================================
+// JOURNEY STEPS
+// =============================================================================
+
+// Helper to pick a random element from an array
+function pickRandom(arr) {
+  return arr && arr.length > 0 ? arr[Math.floor(Math.random() * arr.length)] : null;
+}
+
+// Helper to pick the coupon to apply: a generated code at coupons.generatedCodeRate, else a configured one by weight
+function pickCoupon() {
+  if (GENERATED_COUPON_CODES.length > 0 && (COUPON_CODES.length === 0 || Math.random() < COUPON_GENERATED_CODE_RATE)) {
+    return pickRandom(GENERATED_COUPON_CODES);
+  }
+  return COUPON_CODES.length > 0 ? pickWeighted(COUPON_CODES, coupon => coupon.weight) : null;
+}
+
+// Helper to pick a URL the user hasn't visited yet (visitPage skips revisits)
+function pickUnvisited(user, urls) {
+  return pickRandom((urls || []).filter(url => !user.visitedPages.includes(url)));
+}
+
+// Realistic think time between actions, scaled for mobile users
+function thinkTime(user, factor = 1) {
+  sleep((Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME) * factor * user.thinkTimeMultiplier);
+}
+
+// Visit the homepage and record its timing
+function visitHomepageStep(user) {
+  let result = null;
+  group('Visit Homepage & Discover Links', function () {
+    result = user.visitPage(currentStore.baseUrl, 'homepage');
+    if (result && result.success) {
+      check(result.res, { 'Homepage status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+    }
+  });
+  return result;
+}
+
+// Visit a category page and record its timing; some shoppers then refine it with layered
+// navigation, in which case the refined listing is returned
+function visitCategoryStep(user, url) {
+  if (!url) return null;
+
+  let result = null;
+  group('Browse category', function () {
+    result = user.visitPage(url, 'category');
+    if (result && result.success) {
+      check(result.res, { 'Category/List page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+    }
+  });
+
+  if (result && result.success && Math.random() < TRAFFIC_LAYERED_NAV) {
+    thinkTime(user, 0.5);
+    result = layeredNavigationStep(user, result);
+  }
+  return result;
+}
+
+// Refine a category listing the way shoppers do: stack one or more filters, sometimes change
+// the toolbar's sort order, direction, page size or view mode, then sometimes take a filter
+// back off again. Returns the last listing visited.
+function layeredNavigationStep(user, listingResult) {
+  if (!listingResult || !listingResult.success || !listingResult.newLinks.layeredNav) return listingResult;
+
+  let current = listingResult;
+  group('Layered navigation', function () {
+    // Listings are revisited (removing a filter returns to an earlier URL)
+    const refine = (action, url) => {
+      if (!url) return false;
+      const result = user.visitPage(url, 'filtered_category', true);
+      if (!result || !result.success) return false;
+
+      check(result.res, { 'Filtered listing status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+      const nav = result.newLinks.layeredNav;
+      layeredNavTrend.add(result.res.timings.duration, { action, filters: String(nav ? nav.removeUrls.length : 0) });
+      if (nav) current = result;
+      thinkTime(user, 0.5);
+      return true;
+    };
+
+    // Stack filters on attributes that aren't applied yet
+    const appliedAttributes = [];
+    const filterCount = Math.floor(Math.random() * LAYERED_NAV_MAX_FILTERS) + 1;
+    for (let i = 0; i < filterCount; i++) {
+      const filter = pickRandom(current.newLinks.layeredNav.filters.filter(f => !appliedAttributes.includes(f.attribute)));
+      if (!filter || !refine('filter', filter.url)) break;
+      appliedAttributes.push(filter.attribute);
+    }
+
+    [['sort', LAYERED_NAV_SORT_RATE], ['direction', LAYERED_NAV_DIRECTION_RATE], ['limit', LAYERED_NAV_LIMIT_RATE], ['mode', LAYERED_NAV_MODE_RATE]]
+      .forEach(([action, rate]) => {
+        if (Math.random() < rate) refine(action, toolbarChangeUrl(current.newLinks.layeredNav, action));
+      });
+
+    // Drop one filter, or clear them all when several are stacked
+    const { removeUrls, clearUrl } = current.newLinks.layeredNav;
+    if (removeUrls.length > 0 && Math.random() < LAYERED_NAV_REMOVE_FILTER_RATE) {
+      if (removeUrls.length > 1 && clearUrl && Math.random() < 0.3) {
+        refine('clear_filters', clearUrl);
+      } else {
+        refine('remove_filter', pickRandom(removeUrls));
+      }
+    }
+  });
+  return current;
+}
+
+// Visit a product page and record its timing; returns the visit result with product info
+function visitProductStep(user, url) {
+  if (!url) return null;
+
+  let result = null;
+  group('Browse product', function () {
+    result = user.visitPage(url, 'product');
+    if (result && result.success) {
+      check(result.res, { 'Product page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+      result.productInfo = extractProductInfo(result.res.body);
+    }
+  });
+  return result;
+}
+
+// Add the product from a product page visit to the cart
+function addToCartStep(user, productResult) {
+  if (!productResult || !productResult.productInfo || user.cart.length >= MAX_PRODUCTS_IN_CART) return false;
+
+  const { productId, productType, requiresOptions, availableOptions } = productResult.productInfo;
+  if (!productId) return false;
+  if (requiresOptions && Object.keys(availableOptions).length === 0) return false; // Nothing valid to add
+
+  let addSuccess = false;
+  group('Add Product to Cart', function () {
+    addSuccess = user.addToCart(productId, availableOptions, productType);
+    check({ status: addSuccess ? 200 : 400 }, { [`Add ${productType} product to cart`]: () => addSuccess });
+  });
+  return addSuccess;
+}
+
+// Wishlist as a logged-in customer: add the product viewed last, open the wishlist, then
+// sometimes move an item to the cart and remove another. Guests log in with their pool account first.
+function wishlistStep(user) {
+  const product = user.viewedProducts[user.viewedProducts.length - 1];
+  if (!product) return false;
+
+  let added = false;
+  group('Wishlist Interaction', function () {
+    const customer = getAssignedCustomer();
+    if (!user.isLoggedIn && !(customer && user.loginCustomer(customer))) return;
+
+    added = user.addToWishlist(product.productId);
+    if (!added) return;
+    thinkTime(user, 0.5);
+
+    const items = user.viewWishlist();
+    if (!items || items.length === 0) return;
+    thinkTime(user);
+
+    const remaining = shuffle(items.slice());
+    if (Math.random() < WISHLIST_MOVE_TO_CART_RATE && user.moveWishlistItemToCart(remaining.pop())) {
+      thinkTime(user, 0.5);
+    }
+    if (remaining.length > 0 && Math.random() < WISHLIST_REMOVE_RATE) {
+      user.removeWishlistItem(remaining.pop());
+    }
+  });
+  return added;
+}
+
+// Product comparison: add a few viewed products (2-4 by default), open the compare page, then
+// sometimes clear the list. Visits discovered products first when the session hasn't viewed enough.
+function compareStep(user) {
+  const count = Math.floor(Math.random() * (COMPARE_MAX_PRODUCTS - COMPARE_MIN_PRODUCTS + 1)) + COMPARE_MIN_PRODUCTS;
+
+  let compared = false;
+  group('Product Comparison', function () {
+    for (let attempt = 0; attempt < count && user.viewedProducts.length < count; attempt++) {
+      const productUrl = pickUnvisited(user, user.discoveredProducts);
+      if (!productUrl) break;
+      visitProductStep(user, productUrl);
+      thinkTime(user, 0.5);
+    }
+
+    const products = shuffle(user.viewedProducts.slice()).slice(0, count);
+    if (products.length < COMPARE_MIN_PRODUCTS) return;
+
+    const added = products.filter(product => user.addToCompare(product.productId)).length;
+    if (added === 0) return;
+    thinkTime(user, 0.5);
+
+    compared = user.viewCompare();
+    thinkTime(user, 1.5); // Reading the comparison table
+
+    if (Math.random() < COMPARE_CLEAR_RATE) {
+      user.clearCompare();
+    }
+  });
+  return compared;
+}
+
+// Visit the shopping cart page
+function visitCartStep(user) {
+  let result = null;
+  group('Visit Shopping Cart', function () {
+    result = user.visitPage(`${currentStore.baseUrl}${CART_PAGE_PATH}`, 'cart');
+    if (result && result.success) {
+      check(result.res, { 'Cart page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+    }
+  });
+  return result;
+}
+
+// Visit the checkout page and, at the configured rate, place the order
+function visitCheckoutStep(user, allowOrderPlacement = true) {
+  let result = null;
+  group('Guest Checkout', function () {
+    result = user.visitPage(`${currentStore.baseUrl}${CHECKOUT_PAGE_PATH}`, 'checkout');
+    if (result && result.success) {
+      check(result.res, { 'Guest checkout status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+
+      if (allowOrderPlacement) {
+        placeOrderStep(user, result);
+      }
+    }
+  });
+  return result;
+}
+
+// Submit the checkout for a visited checkout page (ORDER_PLACEMENT_RATE of the time)
+function placeOrderStep(user, checkoutResult) {
+  if (!checkoutResult || !checkoutResult.success || Math.random() >= ORDER_PLACEMENT_RATE) return null;
+
+  let order = null;
+  group('Place Order', function () {
+    sleep(Math.random() * 3 + 2); // Time to fill checkout form
+    order = user.placeOrder(checkoutResult.res);
+
+    orderPlacementSuccessRate.add(order !== null);
+    check({ status: order ? 200 : 400 }, { 'Order placed successfully': () => order !== null });
+
+    if (order) {
+      ordersPlacedCounter.add(1);
+      check(order, { 'Order increment ID captured': (o) => !!o.incrementId });
+    }
+  });
+  return order;
+}
+
+// Pick a product link from a visited page, falling back to session and setup data
+function nextProductUrl(user, pageResult, data) {
+  const pageProducts = pageResult && pageResult.newLinks ? pageResult.newLinks.products : [];
+  return pickUnvisited(user, pageProducts) ||
+    pickUnvisited(user, user.discoveredProducts) ||
+    pickUnvisited(user, data.products);
+}
+
+// Pick a category link, preferring categories discovered during the session
+function nextCategoryUrl(user, data) {
+  return pickUnvisited(user, user.discoveredCategories) || pickUnvisited(user, data.categories);
+}
+
+// =============================================================================
+// USER JOURNEYS
+// =============================================================================
+
+// Browse & Purchase: Homepage → Category → Product → Add to Cart → Cart → Checkout
+function browseAndPurchaseJourney(user, data) {
+  group('Browse & Purchase Journey', function () {
+    visitHomepageStep(user);
+    thinkTime(user);
+
+    const categoryResult = visitCategoryStep(user, nextCategoryUrl(user, data));
+    thinkTime(user);
+
+    const productResult = visitProductStep(user, nextProductUrl(user, categoryResult, data));
+    thinkTime(user, 1.5); // Longer time on product pages
+
+    if (addToCartStep(user, productResult)) {
+      thinkTime(user);
+      visitCartStep(user);
+
+      if (Math.random() < CHECKOUT_COMPLETION_RATE) {
+        thinkTime(user);
+        visitCheckoutStep(user);
+      }
     }
+  });
+}
 
-    // Access address book
-    if (Math.random() < ADDRESS_BOOK_ACCESS_RATE) {
-      group('Address Book', () => {
-        const addressResult = this.visitPage(`${BASE_URL}${ADDRESS_BOOK_PATH}`, 'address_book');
-        if (addressResult && addressResult.success) {
-          check(addressResult.res, { 'Address book status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-        }
-      });
+// Search & Purchase: Homepage → Search → Product → Add to Cart
+function searchAndPurchaseJourney(user, data) {
+  group('Search & Purchase Journey', function () {
+    visitHomepageStep(user);
+    thinkTime(user);
+
+    let searchResult = null;
+    group('Perform Search', function () {
+      const searchTerm = pickRandom(data.searchTerms) || DEFAULT_SEARCH_TERM;
+      const searchUrl = `${currentStore.baseUrl}${SEARCH_RESULT_PATH_TEMPLATE.replace('{q}', encodeURIComponent(searchTerm))}`;
+      searchResult = user.visitPage(searchUrl, 'search');
+      if (searchResult && searchResult.success) {
+        check(searchResult.res, { 'Search page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+      }
+    });
+    thinkTime(user);
+
+    const productResult = visitProductStep(user, nextProductUrl(user, searchResult, data));
+    thinkTime(user, 1.5);
+
+    addToCartStep(user, productResult);
+  });
+}
+
+// Cart Abandonment: Homepage → Product → Add to Cart → Cart → Checkout → Abandon
+function cartAbandonmentJourney(user, data) {
+  group('Cart Abandonment Journey', function () {
+    const homepageResult = visitHomepageStep(user);
+    thinkTime(user);
+
+    const productResult = visitProductStep(user, nextProductUrl(user, homepageResult, data));
+    thinkTime(user, 1.5);
+
+    if (addToCartStep(user, productResult)) {
+      thinkTime(user);
+      visitCartStep(user);
+      thinkTime(user);
+      visitCheckoutStep(user, false);
+      // The user leaves here without placing the order
     }
-    
-    return true;
-  }
+  });
+}
 
-  // Complete checkout flow for registered users
-  completeRegisteredUserCheckout() {
-    if (!this.isLoggedIn || this.cart.length === 0) return false;
-    
-    // Registered users have higher checkout completion rate
-    if (Math.random() < REGISTERED_USER_CHECKOUT_RATE) {
-      group('Complete Registered User Checkout', () => {
-        // Visit checkout
-        const checkoutResult = this.visitPage(`${BASE_URL}${CHECKOUT_PAGE_PATH}`, 'checkout');
-        if (checkoutResult && checkoutResult.success) {
-          check(checkoutResult.res, { 'Registered checkout status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-          checkoutTrend.add(checkoutResult.res.timings.duration);
-          this.updateSessionCookies(checkoutResult.res);
-          
-          // Simulate completing checkout steps (shipping, payment, review)
-          sleep(Math.random() * 3 + 2); // Time to fill checkout form
-          
-          // In a real implementation, you would submit the checkout form here
-          // For load testing, visiting the checkout page is sufficient to test performance
-        }
-      });
-      
-      return true;
+// Window Shopping: Homepage → Browse Categories → View Products (no purchase)
+function windowShoppingJourney(user, data) {
+  group('Window Shopping Journey', function () {
+    visitHomepageStep(user);
+    thinkTime(user);
+
+    const categoriesToBrowse = Math.floor(Math.random() * MAX_CATEGORIES_PER_SESSION) + 1;
+    for (let c = 0; c < categoriesToBrowse; c++) {
+      const categoryUrl = nextCategoryUrl(user, data);
+      if (!categoryUrl) break;
+
+      const categoryResult = visitCategoryStep(user, categoryUrl);
+      thinkTime(user);
+
+      const productsToView = Math.floor(Math.random() * MAX_PRODUCTS_PER_CATEGORY) + 1;
+      for (let p = 0; p < productsToView; p++) {
+        const productUrl = nextProductUrl(user, categoryResult, data);
+        if (!productUrl) break;
+
+        visitProductStep(user, productUrl);
+        thinkTime(user, 1.5);
+      }
     }
-    
-    return false;
-  }
+  });
 }
 
-// The default function is the main loop for each virtual user.
-export default function (data) {
-  // Create a real user session for this virtual user
-  const bypassCache = shouldBypassCache();
-  const params = getHttpParams(bypassCache);
-  const user = new RealUserSession(params);
+// Quick Buyer: Homepage → Product → Add to Cart → Cart → Checkout (fast)
+function quickBuyerJourney(user, data) {
+  group('Quick Buyer Journey', function () {
+    const homepageResult = visitHomepageStep(user);
+    thinkTime(user, 0.5);
+
+    const productResult = visitProductStep(user, nextProductUrl(user, homepageResult, data));
+    thinkTime(user, 0.5);
 
-  // Simulate real user behavior with dynamic discovery
-  realUserBrowsingSession(user, data);
+    if (addToCartStep(user, productResult)) {
+      thinkTime(user, 0.3);
+      visitCartStep(user);
+      thinkTime(user, 0.3);
+      visitCheckoutStep(user);
+    }
+  });
 }
 
-// Real User Browsing Session - simulates how actual users browse e-commerce sites
+// Real User Browsing Session - simulates how actual users browse e-commerce sites.
+// Used as the Comprehensive Shopping journey.
 function realUserBrowsingSession(user, fallbackData) {
   group('Real User Browsing Session', function () {
-    // PHASE 0: Customer registration (10% of users)
-    if (Math.random() < CUSTOMER_REGISTRATION_RATE) {
+    // PHASE 0: Customer registration (10% of users, unless already logged in)
+    if (!user.isLoggedIn && Math.random() < CUSTOMER_REGISTRATION_RATE) {
       group('Customer Registration Flow', function () {
         const registrationSuccess = user.registerCustomer();
         check({ status: registrationSuccess ? 200 : 400 }, { 'Customer registration successful': () => registrationSuccess });
@@ -1446,10 +4828,9 @@ function realUserBrowsingSession(user, fallbackData) {
 
     // PHASE 1: Start at homepage and discover initial links
     group('Visit Homepage & Discover Links', function () {
-      const homepageResult = user.visitPage(BASE_URL, 'homepage');
+      const homepageResult = user.visitPage(currentStore.baseUrl, 'homepage');
       if (homepageResult && homepageResult.success) {
         check(homepageResult.res, { 'Homepage status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-        homepageTrend.add(homepageResult.res.timings.duration);
       }
     });
 
@@ -1487,13 +4868,14 @@ function realUserBrowsingSession(user, fallbackData) {
           // Track metrics based on page type
           if (actionType === 'category' || actionType === 'pagination') {
             check(result.res, { 'Category/List page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-            categoryPageTrend.add(result.res.timings.duration);
+            if (Math.random() < TRAFFIC_LAYERED_NAV) {
+              layeredNavigationStep(user, result);
+            }
           } else if (actionType === 'product' || actionType === 'related_product') {
             check(result.res, { 'Product page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-            productPageTrend.add(result.res.timings.duration);
             
-            // Enhanced product decision with configurable product support
-            const { productId, requiresOptions, availableOptions } = extractProductInfo(result.res.body);
+            // Enhanced product decision with support for every product type
+            const { productId, productType, requiresOptions, availableOptions } = extractProductInfo(result.res.body);
             let addToCartChance = 0.5; // Base chance for more cart activity
             
             // Increase chance based on context
@@ -1504,34 +4886,26 @@ function realUserBrowsingSession(user, fallbackData) {
               addToCartChance += 0.2; // Interest match bonus
             }
             
-            // Support both simple and configurable products - use traffic distribution
+            // Any product type the page offers valid add-to-cart fields for - use traffic distribution
             const shouldAddToCart = Math.random() < Math.min(addToCartChance * TRAFFIC_ADD_TO_CART, 0.9) && 
                                    productId && 
+                                   (!requiresOptions || Object.keys(availableOptions).length > 0) && // Something valid to add
                                    user.cart.length < MAX_PRODUCTS_IN_CART;
 
             if (shouldAddToCart) {
               sleep(Math.random() * 2 + 1); // Think time for product selection
 
               group('Add Product to Cart', function () {
-                let addSuccess;
-                if (requiresOptions && Object.keys(availableOptions).length > 0) {
-                  // Configurable product - use extracted options
-                  addSuccess = user.addToCart(productId, availableOptions);
-                  check({ status: addSuccess ? 200 : 400 }, { 'Add configurable product to cart': () => addSuccess });
-                } else {
-                  // Simple product
-                  addSuccess = user.addToCart(productId);
-                  check({ status: addSuccess ? 200 : 400 }, { 'Add simple product to cart': () => addSuccess });
-                }
+                const addSuccess = user.addToCart(productId, availableOptions, productType);
+                check({ status: addSuccess ? 200 : 400 }, { [`Add ${productType} product to cart`]: () => addSuccess });
                 
                 // Immediately check cart after adding (realistic user behavior)
                 if (addSuccess && Math.random() < 0.6) {
                   sleep(Math.random() * 1 + 1);
                   group('Check Cart After Adding', function () {
-                    const cartResult = user.visitPage(`${BASE_URL}${CART_PAGE_PATH}`, 'cart');
+                    const cartResult = user.visitPage(`${currentStore.baseUrl}${CART_PAGE_PATH}`, 'cart');
                     if (cartResult && cartResult.success) {
                       check(cartResult.res, { 'Cart check status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-                      cartTrend.add(cartResult.res.timings.duration);
                       user.updateSessionCookies(cartResult.res);
                     }
                   });
@@ -1539,13 +4913,8 @@ function realUserBrowsingSession(user, fallbackData) {
               });
             }
           } else if (actionType === 'breadcrumb') {
+            // Could be homepage, category, or other navigation page - visitPage records it under its verified type
             check(result.res, { 'Navigation page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-            // Could be homepage, category, or other navigation page
-            if (result.res.url.includes('/category') || result.res.url.includes('/gear') || result.res.url.includes('/training')) {
-              categoryPageTrend.add(result.res.timings.duration);
-            } else {
-              homepageTrend.add(result.res.timings.duration);
-            }
           }
         }
       });
@@ -1570,12 +4939,10 @@ function realUserBrowsingSession(user, fallbackData) {
           group('Impulse Product View', function () {
             const impulseResult = user.visitPage(impulseProduct, 'product');
             if (impulseResult && impulseResult.success) {
-              productPageTrend.add(impulseResult.res.timings.duration);
-              
               // Higher chance to add impulse items to cart
-              const { productId, requiresOptions } = extractProductInfo(impulseResult.res.body);
+              const { productId, productType, requiresOptions } = extractProductInfo(impulseResult.res.body);
               if (Math.random() < 0.6 && productId && !requiresOptions && user.cart.length < MAX_PRODUCTS_IN_CART) {
-                const addSuccess = user.addToCart(productId);
+                const addSuccess = user.addToCart(productId, {}, productType);
                 check({ status: addSuccess ? 200 : 400 }, { 'Impulse add to cart': () => addSuccess });
               }
             }
@@ -1590,10 +4957,9 @@ function realUserBrowsingSession(user, fallbackData) {
       sleep(Math.random() * 2 + 1); // Think time before cart
 
       group('Visit Shopping Cart', function () {
-        const cartResult = user.visitPage(`${BASE_URL}${CART_PAGE_PATH}`, 'cart');
+        const cartResult = user.visitPage(`${currentStore.baseUrl}${CART_PAGE_PATH}`, 'cart');
         if (cartResult && cartResult.success) {
           check(cartResult.res, { 'Cart page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-          cartTrend.add(cartResult.res.timings.duration);
           user.updateSessionCookies(cartResult.res);
         }
       });
@@ -1616,11 +4982,11 @@ function realUserBrowsingSession(user, fallbackData) {
       } else if (Math.random() < CHECKOUT_COMPLETION_RATE) {
         // Guest checkout
         group('Guest Checkout', function () {
-          const checkoutResult = user.visitPage(`${BASE_URL}${CHECKOUT_PAGE_PATH}`, 'checkout');
+          const checkoutResult = user.visitPage(`${currentStore.baseUrl}${CHECKOUT_PAGE_PATH}`, 'checkout');
           if (checkoutResult && checkoutResult.success) {
             check(checkoutResult.res, { 'Guest checkout status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-            checkoutTrend.add(checkoutResult.res.timings.duration);
             user.updateSessionCookies(checkoutResult.res);
+            placeOrderStep(user, checkoutResult);
           }
         });
       }
@@ -1628,10 +4994,9 @@ function realUserBrowsingSession(user, fallbackData) {
       // Even users without cart items sometimes visit cart (realistic behavior)
       if (Math.random() < 0.2) {
         group('Visit Empty Cart', function () {
-          const cartResult = user.visitPage(`${BASE_URL}${CART_PAGE_PATH}`, 'cart');
+          const cartResult = user.visitPage(`${currentStore.baseUrl}${CART_PAGE_PATH}`, 'cart');
           if (cartResult && cartResult.success) {
             check(cartResult.res, { 'Empty cart status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-            cartTrend.add(cartResult.res.timings.duration);
             user.updateSessionCookies(cartResult.res);
           }
         });
@@ -1644,7 +5009,7 @@ function realUserBrowsingSession(user, fallbackData) {
     if (Math.random() < TRAFFIC_CUSTOMER_ACCOUNT) {
       sleep(Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME);
       group('Customer Account Area', function () {
-        const accountResult = user.visitPage(`${BASE_URL}${CUSTOMER_ACCOUNT_PATH}`, 'customer_account');
+        const accountResult = user.visitPage(`${currentStore.baseUrl}${CUSTOMER_ACCOUNT_PATH}`, 'customer_account');
         if (accountResult && accountResult.success) {
           check(accountResult.res, { 'Customer account status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
           // Could be login page if not logged in, or account dashboard if logged in
@@ -1653,34 +5018,25 @@ function realUserBrowsingSession(user, fallbackData) {
     }
 
     // Wishlist functionality
-    if (Math.random() < TRAFFIC_WISHLIST && user.discoveredProducts.length > 0) {
+    if (Math.random() < TRAFFIC_WISHLIST && user.viewedProducts.length > 0) {
       sleep(Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME);
-      group('Wishlist Interaction', function () {
-        const wishlistResult = user.visitPage(`${BASE_URL}${WISHLIST_PATH}`, 'wishlist');
-        if (wishlistResult && wishlistResult.success) {
-          check(wishlistResult.res, { 'Wishlist status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-        }
-      });
+      wishlistStep(user);
     }
 
     // Product comparison
-    if (Math.random() < TRAFFIC_PRODUCT_COMPARISON && user.discoveredProducts.length >= 2) {
+    if (Math.random() < TRAFFIC_PRODUCT_COMPARISON && user.viewedProducts.length + user.discoveredProducts.length >= COMPARE_MIN_PRODUCTS) {
       sleep(Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME);
-      group('Product Comparison', function () {
-        const compareResult = user.visitPage(`${BASE_URL}${COMPARE_PRODUCTS_PATH}`, 'product_compare');
-        if (compareResult && compareResult.success) {
-          check(compareResult.res, { 'Product comparison status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-        }
-      });
+      compareStep(user);
     }
 
     // CMS/Content pages
     if (Math.random() < TRAFFIC_CMS_PAGES) {
       sleep(Math.random() * (MAX_THINK_TIME - MIN_THINK_TIME) + MIN_THINK_TIME);
+      // Prefer CMS pages discovered from the sitemap
       const cmsPages = ['/about-us/', '/contact/', '/sitemap/'];
-      const cmsPage = cmsPages[Math.floor(Math.random() * cmsPages.length)];
+      const cmsUrl = pickRandom(fallbackData.cmsPages) || `${currentStore.baseUrl}${cmsPages[Math.floor(Math.random() * cmsPages.length)]}`;
       group('CMS Content Pages', function () {
-        const cmsResult = user.visitPage(`${BASE_URL}${cmsPage}`, 'cms_page');
+        const cmsResult = user.visitPage(cmsUrl, 'cms_page');
         if (cmsResult && cmsResult.success) {
           check(cmsResult.res, { 'CMS page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
         }
@@ -1688,29 +5044,16 @@ function realUserBrowsingSession(user, fallbackData) {
     }
 
     // AJAX interactions (modern frontend behavior)
-    if (Math.random() < TRAFFIC_AJAX_REQUESTS && user.discoveredProducts.length > 0) {
+    if (Math.random() < TRAFFIC_AJAX_REQUESTS && user.viewedProducts.length > 0) {
       sleep(Math.random() * 1 + 0.5); // Shorter think time for AJAX
       group('AJAX Interactions', function () {
-        const product = user.discoveredProducts[Math.floor(Math.random() * user.discoveredProducts.length)];
-        const ajaxParams = {
-          ...user.params,
-          headers: {
-            ...user.params.headers,
-            'X-Requested-With': 'XMLHttpRequest',
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-        };
-        
-        // Simulate AJAX add to wishlist or compare
-        const ajaxAction = Math.random();
-        if (ajaxAction < 0.5) {
-          // AJAX add to wishlist
-          const wishlistRes = http.post(`${BASE_URL}${AJAX_WISHLIST_PATH}`, { product: '123' }, ajaxParams);
-          check(wishlistRes, { 'AJAX wishlist status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+        const product = pickRandom(user.viewedProducts);
+
+        // Quick add of a viewed product to the wishlist (logged-in customers) or the compare list
+        if (user.isLoggedIn && Math.random() < 0.5) {
+          user.addToWishlist(product.productId);
         } else {
-          // AJAX add to compare
-          const compareRes = http.post(`${BASE_URL}${AJAX_COMPARE_ADD_PATH}`, { product: '123' }, ajaxParams);
-          check(compareRes, { 'AJAX compare status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
+          user.addToCompare(product.productId);
         }
       });
     }
@@ -1730,7 +5073,7 @@ function realUserBrowsingSession(user, fallbackData) {
           if (apiAction < 0.4 && user.interests.length > 0) {
             // Product search with filters
             const searchTerm = user.interests[Math.floor(Math.random() * user.interests.length)];
-            const q = `query($search: String!, $pageSize: Int!) {
+            const q = `query ProductSearch($search: String!, $pageSize: Int!) {
               products(search: $search, pageSize: $pageSize) {
                 items { 
                   sku 
@@ -1752,7 +5095,7 @@ function realUserBrowsingSession(user, fallbackData) {
             graphqlTrend.add(gRes.timings.duration);
           } else if (apiAction < 0.7 && user.cart.length > 0) {
             // Cart operations via GraphQL
-            const cartQuery = `query($cartId: String!) {
+            const cartQuery = `query CartDetails($cartId: String!) {
               cart(cart_id: $cartId) {
                 total_quantity
                 items { 
@@ -1767,7 +5110,7 @@ function realUserBrowsingSession(user, fallbackData) {
             graphqlTrend.add(gRes.timings.duration);
           } else {
             // Category/CMS content via GraphQL
-            const cmsQuery = `query {
+            const cmsQuery = `query CmsContent {
               cmsBlocks(identifiers: ["home-content"]) {
                 items { title content }
               }
@@ -1785,14 +5128,14 @@ function realUserBrowsingSession(user, fallbackData) {
           
           if (restAction < 0.5) {
             // Store configuration
-            const storeRes = restGet('/rest/default/V1/store/storeViews');
+            const storeRes = restGet(`${restApiPrefix()}/store/storeViews`);
             if (storeRes.status !== 401 && storeRes.status !== 403) {
               check(storeRes, { 'REST store views 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
             }
             restTrend.add(storeRes.timings.duration);
           } else if (restAction < 0.8 && user.cart.length > 0) {
             // Guest cart operations
-            const cartRes = restPost('/rest/default/V1/guest-carts', {});
+            const cartRes = restPost(`${restApiPrefix()}/guest-carts`, {});
             if (cartRes.status >= 200 && cartRes.status < 400) {
               check(cartRes, { 'REST guest cart creation 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
               user.cartId = cartRes.body.replace(/"/g, '');
@@ -1800,7 +5143,7 @@ function realUserBrowsingSession(user, fallbackData) {
             restTrend.add(cartRes.timings.duration);
           } else {
             // Directory services
-            const dirRes = restGet('/rest/default/V1/directory/countries');
+            const dirRes = restGet(`${restApiPrefix()}/directory/countries`);
             if (dirRes.status !== 401 && dirRes.status !== 403) {
               check(dirRes, { 'REST directory 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
             }
@@ -1816,13 +5159,694 @@ function realUserBrowsingSession(user, fallbackData) {
       
       group('Perform Search', function () {
         const searchTerm = fallbackData.searchTerms[Math.floor(Math.random() * fallbackData.searchTerms.length)];
-        const searchUrl = `${BASE_URL}${SEARCH_RESULT_PATH_TEMPLATE.replace('{q}', encodeURIComponent(searchTerm))}`;
+        const searchUrl = `${currentStore.baseUrl}${SEARCH_RESULT_PATH_TEMPLATE.replace('{q}', encodeURIComponent(searchTerm))}`;
         const searchResult = user.visitPage(searchUrl, 'search');
         if (searchResult && searchResult.success) {
           check(searchResult.res, { 'Search page status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400 });
-          searchTrend.add(searchResult.res.timings.duration);
         }
       });
     }
   });
 }
+
+// =============================================================================
+// GRAPHQL HEADLESS JOURNEY
+// =============================================================================
+
+const GQL_RESOLVE_ROUTE = GRAPHQL_ROUTE_QUERY === 'urlResolver'
+  ? `query ResolveRoute($url: String!) {
+      urlResolver(url: $url) { id relative_url redirectCode type }
+    }`
+  : `query ResolveRoute($url: String!) {
+      route(url: $url) { relative_url redirect_code type }
+    }`;
+
+const GQL_CATEGORY_TREE = `query CategoryTree {
+  categories {
+    items {
+      uid name url_path
+      children {
+        uid name url_path include_in_menu
+        children { uid name url_path include_in_menu }
+      }
+    }
+  }
+}`;
+
+const GQL_PRODUCT_DETAIL = `query ProductDetail($urlKey: String!) {
+  products(filter: { url_key: { eq: $urlKey } }) {
+    items {
+      __typename uid sku name stock_status
+      price_range { minimum_price { final_price { value currency } } }
+      ... on ConfigurableProduct {
+        configurable_options { attribute_code values { uid label } }
+        variants {
+          attributes { code uid }
+          product { sku stock_status }
+        }
+      }
+    }
+  }
+}`;
+
+const GQL_CREATE_EMPTY_CART = `mutation CreateEmptyCart {
+  createEmptyCart
+}`;
+
+const GQL_ADD_PRODUCTS_TO_CART = `mutation AddProductsToCart($cartId: String!, $cartItems: [CartItemInput!]!) {
+  addProductsToCart(cartId: $cartId, cartItems: $cartItems) {
+    cart { total_quantity items { uid quantity product { sku } } }
+    user_errors { code message }
+  }
+}`;
+
+const GQL_SET_GUEST_EMAIL = `mutation SetGuestEmailOnCart($cartId: String!, $email: String!) {
+  setGuestEmailOnCart(input: { cart_id: $cartId, email: $email }) { cart { email } }
+}`;
+
+const GQL_SET_SHIPPING_ADDRESS = `mutation SetShippingAddressesOnCart($cartId: String!, $address: CartAddressInput!) {
+  setShippingAddressesOnCart(input: { cart_id: $cartId, shipping_addresses: [{ address: $address }] }) {
+    cart {
+      shipping_addresses {
+        available_shipping_methods { carrier_code method_code available }
+      }
+    }
+  }
+}`;
+
+const GQL_SET_BILLING_ADDRESS = `mutation SetBillingAddressOnCart($cartId: String!, $address: CartAddressInput!) {
+  setBillingAddressOnCart(input: { cart_id: $cartId, billing_address: { address: $address } }) {
+    cart { available_payment_methods { code } }
+  }
+}`;
+
+const GQL_SET_SHIPPING_METHOD = `mutation SetShippingMethodsOnCart($cartId: String!, $carrierCode: String!, $methodCode: String!) {
+  setShippingMethodsOnCart(input: { cart_id: $cartId, shipping_methods: [{ carrier_code: $carrierCode, method_code: $methodCode }] }) {
+    cart { prices { grand_total { value currency } } }
+  }
+}`;
+
+const GQL_SET_PAYMENT_METHOD = `mutation SetPaymentMethodOnCart($cartId: String!, $code: String!) {
+  setPaymentMethodOnCart(input: { cart_id: $cartId, payment_method: { code: $code } }) {
+    cart { selected_payment_method { code } }
+  }
+}`;
+
+const GQL_PLACE_ORDER = `mutation PlaceOrder($cartId: String!) {
+  placeOrder(input: { cart_id: $cartId }) { order { order_number } }
+}`;
+
+// Helper to turn a storefront product URL into its url_key and relative URL
+function productUrlParts(url) {
+  const relativeUrl = url.replace(currentStore.baseUrl, '').replace(/^\/+/, '').split('?')[0];
+  const lastSegment = relativeUrl.split('/').pop() || '';
+  return { relativeUrl, urlKey: lastSegment.replace(/\.html$/, '') };
+}
+
+// Build addProductsToCart items for a simple or configurable product; null for unsupported types
+function buildGraphqlCartItem(product) {
+  if (!product || product.stock_status === 'OUT_OF_STOCK') return null;
+
+  const quantity = Math.floor(Math.random() * (ADD_TO_CART_MAX_QTY - ADD_TO_CART_MIN_QTY + 1)) + ADD_TO_CART_MIN_QTY;
+
+  if (product.__typename === 'SimpleProduct' || product.__typename === 'VirtualProduct') {
+    return { sku: product.sku, quantity };
+  }
+
+  if (product.__typename === 'ConfigurableProduct') {
+    // Pick an in-stock variant and send its attribute value UIDs as selected options
+    const variant = pickRandom((product.variants || []).filter(v => v.product && v.product.stock_status === 'IN_STOCK'));
+    if (!variant) return null;
+    return { sku: product.sku, quantity, selected_options: variant.attributes.map(a => a.uid) };
+  }
+
+  return null;
+}
+
+// GraphQL Headless: the requests a PWA Studio / Hyvä Checkout storefront makes,
+// from route resolution through to placeOrder
+function graphqlHeadlessJourney(user, data) {
+  group('GraphQL Headless Journey', function () {
+    // App boot: navigation menu
+    graphqlOperation('CategoryTree', GQL_CATEGORY_TREE);
+    thinkTime(user);
+
+    // Open product pages until one can be added to the cart
+    let cartItem = null;
+    for (let attempt = 0; attempt < 3 && !cartItem; attempt++) {
+      const productUrl = pickRandom(data.products);
+      if (!productUrl) break;
+
+      const { relativeUrl, urlKey } = productUrlParts(productUrl);
+      // An unknown URL resolves to { route: null }
+      const routeData = graphqlOperation('ResolveRoute', GQL_RESOLVE_ROUTE, { url: relativeUrl }).data;
+      if (!routeData || !routeData.route) continue;
+
+      const productData = graphqlOperation('ProductDetail', GQL_PRODUCT_DETAIL, { urlKey }).data;
+      cartItem = productData ? buildGraphqlCartItem(productData.products.items[0]) : null;
+      thinkTime(user, 1.5);
+    }
+    if (!cartItem) return;
+
+    // Cart
+    const cartData = graphqlOperation('CreateEmptyCart', GQL_CREATE_EMPTY_CART).data;
+    if (!cartData) return;
+    const cartId = cartData.createEmptyCart;
+    user.cartId = cartId;
+
+    const addData = graphqlOperation('AddProductsToCart', GQL_ADD_PRODUCTS_TO_CART, { cartId, cartItems: [cartItem] }).data;
+    const added = !!addData && addData.addProductsToCart.user_errors.length === 0;
+    check({ status: added ? 200 : 400 }, { 'GraphQL product added to cart': () => added });
+    if (!added) return;
+    user.cart.push({ productId: cartItem.sku, qty: cartItem.quantity, options: cartItem.selected_options || [] });
+
+    if (Math.random() >= CHECKOUT_COMPLETION_RATE) return;
+    thinkTime(user);
+
+    // Checkout
+    const address = {
+      firstname: CHECKOUT_ADDRESS.firstname,
+      lastname: CHECKOUT_ADDRESS.lastname,
+      street: CHECKOUT_ADDRESS.street,
+      city: CHECKOUT_ADDRESS.city,
+      region: CHECKOUT_ADDRESS.region,
+      region_id: CHECKOUT_ADDRESS.region_id,
+      postcode: CHECKOUT_ADDRESS.postcode,
+      country_code: CHECKOUT_ADDRESS.country_id,
+      telephone: CHECKOUT_ADDRESS.telephone,
+      save_in_address_book: false,
+    };
+    const email = `${USER_PREFIX}guest_${Date.now()}_${Math.floor(Math.random() * 9999)}@loadtest.example.com`;
+
+    if (!graphqlOperation('SetGuestEmailOnCart', GQL_SET_GUEST_EMAIL, { cartId, email }).data) return;
+
+    const shippingData = graphqlOperation('SetShippingAddressesOnCart', GQL_SET_SHIPPING_ADDRESS, { cartId, address }).data;
+    if (!shippingData) return;
+
+    if (!graphqlOperation('SetBillingAddressOnCart', GQL_SET_BILLING_ADDRESS, { cartId, address }).data) return;
+
+    const shippingAddresses = shippingData.setShippingAddressesOnCart.cart.shipping_addresses;
+    const methods = ((shippingAddresses[0] && shippingAddresses[0].available_shipping_methods) || []).filter(m => m.available);
+    const method = methods.find(m => `${m.carrier_code}_${m.method_code}` === CHECKOUT_SHIPPING_METHOD) ||
+      (CHECKOUT_SHIPPING_METHOD ? null : methods[0]);
+    if (!method) return;
+    thinkTime(user);
+
+    if (!graphqlOperation('SetShippingMethodsOnCart', GQL_SET_SHIPPING_METHOD, {
+      cartId, carrierCode: method.carrier_code, methodCode: method.method_code,
+    }).data) return;
+
+    if (!graphqlOperation('SetPaymentMethodOnCart', GQL_SET_PAYMENT_METHOD, { cartId, code: CHECKOUT_PAYMENT_METHOD }).data) return;
+
+    if (Math.random() >= ORDER_PLACEMENT_RATE) return;
+    thinkTime(user, 0.5);
+
+    const placeOrder = graphqlOperation('PlaceOrder', GQL_PLACE_ORDER, { cartId });
+    const orderData = placeOrder.data;
+    orderPlacementTrend.add(placeOrder.res.timings.duration);
+    orderPlacementSuccessRate.add(orderData !== null);
+    if (orderData) {
+      ordersPlacedCounter.add(1);
+      user.cart = [];
+      check(orderData, { 'Order increment ID captured': (d) => !!d.placeOrder.order.order_number });
+    }
+  });
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+// Helper to escape text for HTML and XML output
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Helper to copy the parsed config with secrets blanked out
+function redactConfig(value) {
+  if (Array.isArray(value)) return value.map(redactConfig);
+  if (!value || typeof value !== 'object') return value;
+
+  const redacted = {};
+  Object.keys(value).forEach(key => {
+    redacted[key] = /secret|password|token/i.test(key) && value[key] ? '***' : redactConfig(value[key]);
+  });
+  return redacted;
+}
+
+// Helper to read one stat of a metric (or submetric) from the end-of-test data
+function metricValue(data, metricName, stat) {
+  const metric = data.metrics[metricName];
+  return metric && metric.values[stat] !== undefined ? metric.values[stat] : null;
+}
+
+// Collect every check with its group path, walking the group tree
+function collectChecks(group, checks = []) {
+  (group.checks || []).forEach(c => {
+    checks.push({ name: c.name, path: group.path || '::', passes: c.passes, fails: c.fails });
+  });
+  (group.groups || []).forEach(child => collectChecks(child, checks));
+  return checks;
+}
+
+// Read the metrics of a previous run from its summary.json (or a k6 --summary-export file)
+function loadBaselineMetrics(path) {
+  let content;
+  try {
+    content = open(path);
+  } catch (e) {
+    throw new Error(`Baseline file not found: ${path}`);
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(content);
+  } catch (e) {
+    throw new Error(`Invalid JSON in baseline file ${path}: ${e.message}`);
+  }
+  if (!baseline || !baseline.metrics) {
+    throw new Error(`Baseline file ${path} has no "metrics" - use a summary.json written by this test`);
+  }
+  return baseline.metrics;
+}
+
+// Work out the regression limit of every compared metric present in the baseline
+function buildBaselineLimits(baselineMetrics) {
+  const limits = [];
+  const baselineValue = (metricName, stat) => {
+    const metric = baselineMetrics[metricName];
+    if (!metric) return null;
+    const values = metric.values || metric; // --summary-export files have no `values` level
+    return typeof values[stat] === 'number' ? values[stat] : null;
+  };
+  const round = value => Math.round(value * 10000) / 10000;
+
+  BASELINE_TRENDS.forEach(metric => {
+    const baseline = baselineValue(metric, BASELINE_STAT);
+    if (baseline === null) return;
+
+    const limit = round(Math.max(baseline * (1 + BASELINE_DURATION_TOLERANCE), baseline + BASELINE_MIN_DURATION_DELTA));
+    limits.push({ metric, kind: 'duration', stat: BASELINE_STAT, baseline, limit, expression: `${BASELINE_STAT}<=${limit}` });
+  });
+
+  Object.keys(BASELINE_RATES).forEach(metric => {
+    const baseline = baselineValue(metric, 'rate');
+    if (baseline === null) return;
+
+    const higherIsWorse = BASELINE_RATES[metric] === 'higher';
+    const limit = round(higherIsWorse
+      ? Math.min(baseline + BASELINE_ERROR_RATE_TOLERANCE, 1)
+      : Math.max(baseline - BASELINE_ERROR_RATE_TOLERANCE, 0));
+    limits.push({ metric, kind: 'rate', stat: 'rate', baseline, limit, expression: higherIsWorse ? `rate<=${limit}` : `rate>=${limit}` });
+  });
+
+  return limits;
+}
+
+// Compare this run with the baseline limits; metrics without data in this run are skipped
+function compareWithBaseline(data) {
+  return BASELINE_LIMITS
+    .map(({ metric, kind, stat, baseline, limit }) => {
+      const current = metricValue(data, metric, stat);
+      if (current === null || metricValue(data, metric, 'count') === 0) return null;
+
+      const regressed = kind === 'rate' && BASELINE_RATES[metric] === 'lower' ? current < limit : current > limit;
+      return { metric, kind, stat, baseline, current, limit, change: current - baseline, regressed };
+    })
+    .filter(comparison => comparison !== null);
+}
+
+// Helper to format a compared value
+function formatComparisonValue(kind, value) {
+  return kind === 'rate' ? formatPercent(value) : formatMs(value);
+}
+
+// Helper to describe the change from the baseline value
+function formatComparisonChange(comparison) {
+  const { kind, baseline, change } = comparison;
+  if (kind === 'rate') return `${change >= 0 ? '+' : ''}${(change * 100).toFixed(2)} pts`;
+  if (baseline === 0) return `${change >= 0 ? '+' : ''}${Math.round(change)} ms`;
+  return `${change >= 0 ? '+' : ''}${((change / baseline) * 100).toFixed(1)}%`;
+}
+
+// Console section listing the baseline comparison
+function baselineTextSummary(baseline) {
+  const lines = [`\n     Baseline comparison (${BASELINE_STAT} for durations) against ${baseline.file}`];
+  baseline.comparisons.forEach(c => {
+    const label = `${c.metric} `.padEnd(40, '.');
+    const values = `${formatComparisonValue(c.kind, c.baseline)} → ${formatComparisonValue(c.kind, c.current)} (${formatComparisonChange(c)})`;
+    lines.push(`     ${c.regressed ? '✗' : '✓'} ${label} ${values}${c.regressed ? '  REGRESSION' : ''}`);
+  });
+  lines.push(`     ${baseline.regressions} regression(s)${BASELINE_FAIL_ON_REGRESSION ? ' - regressions fail the run' : ''}\n`);
+  return lines.join('\n');
+}
+
+// Reduce k6's end-of-test data to the report shared by the JSON, HTML and JUnit outputs
+function buildReport(data) {
+  const thresholds = [];
+  Object.keys(data.metrics).forEach(metricName => {
+    const metric = data.metrics[metricName];
+    if (!metric.thresholds || metricName in breakdownThresholds) return;
+
+    Object.keys(metric.thresholds).forEach(expression => {
+      const stat = expression.match(/^\s*([a-z]+(?:\([\d.]+\))?)/);
+      thresholds.push({
+        metric: metricName,
+        expression,
+        ok: metric.thresholds[expression].ok,
+        value: stat ? metricValue(data, metricName, stat[1]) : null,
+      });
+    });
+  });
+
+  const pageTypes = {};
+  PAGE_TYPES.forEach(pageType => {
+    const views = metricValue(data, `page_view_duration{page_type:${pageType}}`, 'count');
+    if (!views) return;
+
+    pageTypes[pageType] = {
+      views,
+      avg: metricValue(data, `page_view_duration{page_type:${pageType}}`, 'avg'),
+      p90: metricValue(data, `page_view_duration{page_type:${pageType}}`, 'p(90)'),
+      p95: metricValue(data, `page_view_duration{page_type:${pageType}}`, 'p(95)'),
+      p99: metricValue(data, `page_view_duration{page_type:${pageType}}`, 'p(99)'),
+      max: metricValue(data, `page_view_duration{page_type:${pageType}}`, 'max'),
+      fpcHitRate: metricValue(data, `fpc_hits{page_type:${pageType}}`, 'rate'),
+      ttfbHitP95: metricValue(data, `fpc_ttfb{page_type:${pageType},cache:hit}`, 'p(95)'),
+      ttfbMissP95: metricValue(data, `fpc_ttfb{page_type:${pageType},cache:miss}`, 'p(95)'),
+    };
+  });
+
+  const routes = {};
+  ROUTE_NAMES.forEach(route => {
+    const requests = metricValue(data, `http_req_duration{name:${route}}`, 'count');
+    if (!requests) return;
+
+    routes[route] = {
+      requests,
+      avg: metricValue(data, `http_req_duration{name:${route}}`, 'avg'),
+      p95: metricValue(data, `http_req_duration{name:${route}}`, 'p(95)'),
+      p99: metricValue(data, `http_req_duration{name:${route}}`, 'p(99)'),
+      failureRate: metricValue(data, `http_req_failed{name:${route}}`, 'rate'),
+    };
+  });
+
+  const journeys = {};
+  const totalIterations = metricValue(data, 'journey_iterations', 'count') || 0;
+  const totalStoreWeight = STORES.reduce((sum, store) => sum + Math.max(store.weight, 0), 0);
+
+  const integrationWeight = INTEGRATION_OPERATIONS.reduce((sum, operation) => sum + Math.max(operation.weight, 0), 0);
+  const integration = {};
+  (INTEGRATION_API_ENABLED ? INTEGRATION_OPERATIONS : []).forEach(operation => {
+    integration[operation.name] = {
+      method: operation.method,
+      path: operation.path,
+      configuredShare: Math.max(operation.weight, 0) / integrationWeight,
+      requests: metricValue(data, `integration_api_duration{operation:${operation.name}}`, 'count') || 0,
+      avg: metricValue(data, `integration_api_duration{operation:${operation.name}}`, 'avg'),
+      p95: metricValue(data, `integration_api_duration{operation:${operation.name}}`, 'p(95)'),
+      p99: metricValue(data, `integration_api_duration{operation:${operation.name}}`, 'p(99)'),
+      errorRate: metricValue(data, `integration_api_errors{operation:${operation.name}}`, 'rate'),
+    };
+  });
+
+  const admin = {};
+  (ADMIN_PANEL_ENABLED ? ADMIN_REQUESTS : []).forEach(request => {
+    const requests = metricValue(data, `admin_request_duration{request:${request}}`, 'count');
+    if (!requests) return;
+
+    admin[request] = {
+      requests,
+      avg: metricValue(data, `admin_request_duration{request:${request}}`, 'avg'),
+      p95: metricValue(data, `admin_request_duration{request:${request}}`, 'p(95)'),
+      max: metricValue(data, `admin_request_duration{request:${request}}`, 'max'),
+      errorRate: metricValue(data, `admin_errors{request:${request}}`, 'rate'),
+    };
+  });
+
+  const assets = {};
+  ASSET_SOURCES.forEach(source => {
+    const trend = `${source === 'static' ? 'static' : 'media'}_asset_duration{asset_source:${source}}`;
+    const requests = metricValue(data, trend, 'count');
+    if (!requests) return;
+
+    assets[source] = {
+      requests,
+      avg: metricValue(data, trend, 'avg'),
+      p95: metricValue(data, trend, 'p(95)'),
+      max: metricValue(data, trend, 'max'),
+      bytes: metricValue(data, `asset_bytes{asset_source:${source}}`, 'count') || 0,
+      errorRate: metricValue(data, `asset_errors{asset_source:${source}}`, 'rate'),
+    };
+  });
+
+  const sectionLoads = {};
+  SECTION_LOAD_TRIGGERS.forEach(trigger => {
+    const requests = metricValue(data, `section_load_duration{trigger:${trigger}}`, 'count');
+    if (!requests) return;
+
+    sectionLoads[trigger] = {
+      requests,
+      avg: metricValue(data, `section_load_duration{trigger:${trigger}}`, 'avg'),
+      p95: metricValue(data, `section_load_duration{trigger:${trigger}}`, 'p(95)'),
+      max: metricValue(data, `section_load_duration{trigger:${trigger}}`, 'max'),
+      errorRate: metricValue(data, `section_load_errors{trigger:${trigger}}`, 'rate'),
+    };
+  });
+
+  const coupons = {};
+  COUPON_OUTCOMES.forEach(outcome => {
+    const applications = metricValue(data, `coupon_applications{outcome:${outcome}}`, 'count');
+    if (!applications) return;
+
+    coupons[outcome] = {
+      applications,
+      avg: metricValue(data, `coupon_duration{outcome:${outcome}}`, 'avg'),
+      p95: metricValue(data, `coupon_duration{outcome:${outcome}}`, 'p(95)'),
+      max: metricValue(data, `coupon_duration{outcome:${outcome}}`, 'max'),
+    };
+  });
+
+  const stores = {};
+  STORES.forEach(store => {
+    const sessions = metricValue(data, `journey_iterations{store:${store.code}}`, 'count') || 0;
+    stores[store.code] = {
+      baseUrl: store.baseUrl,
+      configuredShare: Math.max(store.weight, 0) / totalStoreWeight,
+      actualShare: totalIterations > 0 ? sessions / totalIterations : 0,
+      sessions,
+      requests: metricValue(data, `http_req_duration{store:${store.code}}`, 'count') || 0,
+      p95: metricValue(data, `http_req_duration{store:${store.code}}`, 'p(95)'),
+      failureRate: metricValue(data, `http_req_failed{store:${store.code}}`, 'rate'),
+      pageViewP95: metricValue(data, `page_view_duration{store:${store.code}}`, 'p(95)'),
+      fpcHitRate: metricValue(data, `fpc_hits{store:${store.code}}`, 'rate'),
+    };
+  });
+  Object.keys(JOURNEY_WEIGHTS).forEach(journey => {
+    const iterations = metricValue(data, `journey_iterations{journey:${journey}}`, 'count') || 0;
+    journeys[journey] = {
+      configuredShare: JOURNEY_WEIGHTS[journey],
+      iterations,
+      actualShare: totalIterations > 0 ? iterations / totalIterations : 0,
+      p95: metricValue(data, `journey_duration{journey:${journey}}`, 'p(95)'),
+    };
+  });
+
+  const comparisons = compareWithBaseline(data);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    testRun: {
+      baseUrl: BASE_URL,
+      profile: LOAD_PROFILE,
+      executionMode: EXECUTION_MODE,
+      peakVUs: PEAK_VUS,
+      ...(EXECUTION_MODE === 'open' && { arrivalRate: `${PEAK_STAGE_TARGET}/${ARRIVAL_TIME_UNIT}` }),
+      durationMs: data.state.testRunDurationMs,
+    },
+    passed: thresholds.every(t => t.ok),
+    thresholds,
+    pageTypes,
+    routes,
+    assets,
+    browserCacheHits: metricValue(data, 'browser_cache_hits', 'count') || 0,
+    sectionLoads,
+    coupons,
+    couponExpectedOutcomeRate: metricValue(data, 'coupon_expected_outcome', 'rate'),
+    couponRemovals: metricValue(data, 'coupon_duration{action:remove}', 'count') || 0,
+    stores,
+    ...(INTEGRATION_API_ENABLED && { integration }),
+    ...(ADMIN_PANEL_ENABLED && { admin }),
+    journeys,
+    checks: collectChecks(data.root_group),
+    baseline: BASELINE_FILE ? {
+      file: BASELINE_FILE,
+      comparisons,
+      regressions: comparisons.filter(c => c.regressed).length,
+    } : null,
+    config: redactConfig(config),
+    metrics: data.metrics,
+  };
+}
+
+// Helpers to format report values
+function formatMs(value) {
+  return value === null ? '-' : `${Math.round(value)} ms`;
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatBytes(value) {
+  if (value >= 1024 * 1024) return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+  return value >= 1024 ? `${(value / 1024).toFixed(1)} KB` : `${value} B`;
+}
+
+// Render an HTML table; cells are escaped
+function htmlTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeXml(h)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeXml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+// Self-contained HTML report, suitable for sharing with clients
+function htmlReport(report) {
+  const failedChecks = report.checks.filter(c => c.fails > 0).sort((a, b) => b.fails - a.fails);
+  const status = report.passed ? 'PASSED' : 'FAILED';
+
+  const sections = [
+    ['Thresholds', htmlTable(['Status', 'Metric', 'Threshold', 'Value'], report.thresholds.map(t => [
+      t.ok ? '✅ pass' : '❌ fail', t.metric, t.expression, t.value === null ? '-' : t.value.toFixed(t.value < 1 ? 4 : 0),
+    ]))],
+    ['Page Types', htmlTable(['Page type', 'Views', 'Avg', 'p90', 'p95', 'p99', 'Max', 'FPC hit ratio', 'TTFB p95 (hit)', 'TTFB p95 (miss)'],
+      Object.keys(report.pageTypes).map(pageType => {
+        const p = report.pageTypes[pageType];
+        return [pageType, p.views, formatMs(p.avg), formatMs(p.p90), formatMs(p.p95), formatMs(p.p99), formatMs(p.max),
+          formatPercent(p.fpcHitRate), formatMs(p.ttfbHitP95), formatMs(p.ttfbMissP95)];
+      }))],
+    ['Routes', htmlTable(['Route', 'Requests', 'Avg', 'p95', 'p99', 'Failed'],
+      Object.keys(report.routes).map(route => {
+        const r = report.routes[route];
+        return [route, r.requests, formatMs(r.avg), formatMs(r.p95), formatMs(r.p99), formatPercent(r.failureRate)];
+      }))],
+    ['Static & Media Assets', `<p>${report.browserCacheHits} asset request(s) served from the simulated browser cache.</p>\n` +
+      htmlTable(['Source', 'Requests', 'Avg', 'p95', 'Max', 'Downloaded', 'Errors'],
+        Object.keys(report.assets).map(source => {
+          const a = report.assets[source];
+          return [source, a.requests, formatMs(a.avg), formatMs(a.p95), formatMs(a.max), formatBytes(a.bytes), formatPercent(a.errorRate)];
+        }))],
+    ['Private Content', htmlTable(['Trigger', 'Requests', 'Avg', 'p95', 'Max', 'Errors'],
+      Object.keys(report.sectionLoads).map(trigger => {
+        const sl = report.sectionLoads[trigger];
+        return [trigger, sl.requests, formatMs(sl.avg), formatMs(sl.p95), formatMs(sl.max), formatPercent(sl.errorRate)];
+      }))],
+    ['Coupons', `<p>${formatPercent(report.couponExpectedOutcomeRate)} of applications had the expected outcome; ${report.couponRemovals} coupon(s) removed.</p>\n` +
+      htmlTable(['Outcome', 'Applications', 'Avg', 'p95', 'Max'],
+        Object.keys(report.coupons).map(outcome => {
+          const c = report.coupons[outcome];
+          return [outcome, c.applications, formatMs(c.avg), formatMs(c.p95), formatMs(c.max)];
+        }))],
+    ['Stores', htmlTable(['Store', 'Base URL', 'Configured', 'Actual', 'Requests', 'p95', 'Failed', 'Page view p95', 'FPC hit ratio'],
+      Object.keys(report.stores).map(code => {
+        const st = report.stores[code];
+        return [code, st.baseUrl, formatPercent(st.configuredShare), formatPercent(st.actualShare), st.requests, formatMs(st.p95),
+          formatPercent(st.failureRate), formatMs(st.pageViewP95), formatPercent(st.fpcHitRate)];
+      }))],
+    ...(report.integration ? [['Integration API', htmlTable(['Operation', 'Request', 'Configured', 'Requests', 'Avg', 'p95', 'p99', 'Errors'],
+      Object.keys(report.integration).map(name => {
+        const op = report.integration[name];
+        return [name, `${op.method} ${op.path.split('?')[0]}`, formatPercent(op.configuredShare), op.requests, formatMs(op.avg),
+          formatMs(op.p95), formatMs(op.p99), formatPercent(op.errorRate)];
+      }))]] : []),
+    ...(report.admin ? [['Admin Panel', htmlTable(['Request', 'Requests', 'Avg', 'p95', 'Max', 'Errors'],
+      Object.keys(report.admin).map(request => {
+        const a = report.admin[request];
+        return [request, a.requests, formatMs(a.avg), formatMs(a.p95), formatMs(a.max), formatPercent(a.errorRate)];
+      }))]] : []),
+    ['Journey Mix', htmlTable(['Journey', 'Configured', 'Actual', 'Iterations', 'Duration p95'],
+      Object.keys(report.journeys).map(journey => {
+        const j = report.journeys[journey];
+        return [journey, formatPercent(j.configuredShare), formatPercent(j.actualShare), j.iterations, formatMs(j.p95)];
+      }))],
+    ...(report.baseline ? [['Baseline Comparison', `<p>Compared with ${escapeXml(report.baseline.file)}: ${report.baseline.regressions} regression(s).</p>\n` +
+      htmlTable(['Status', 'Metric', 'Baseline', 'Current', 'Change', 'Limit'], report.baseline.comparisons.map(c => [
+        c.regressed ? '❌ regression' : '✅ ok', c.kind === 'duration' ? `${c.metric} ${c.stat}` : c.metric,
+        formatComparisonValue(c.kind, c.baseline), formatComparisonValue(c.kind, c.current),
+        formatComparisonChange(c), formatComparisonValue(c.kind, c.limit),
+      ]))]] : []),
+    ['Failed Checks', failedChecks.length > 0
+      ? htmlTable(['Check', 'Group', 'Fails', 'Passes'], failedChecks.map(c => [c.name, c.path, c.fails, c.passes]))
+      : '<p>All checks passed.</p>'],
+    ['Configuration', `<pre>${escapeXml(JSON.stringify({ testRun: report.testRun, config: report.config }, null, 2))}</pre>`],
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Magento Load Test Report - ${escapeXml(report.testRun.baseUrl)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 2rem; color: #222; }
+  h1 { margin-bottom: 0.2rem; }
+  .status { display: inline-block; padding: 0.3rem 0.8rem; border-radius: 4px; color: #fff; font-weight: bold; }
+  .passed { background: #2e7d32; }
+  .failed { background: #c62828; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }
+  th, td { border: 1px solid #ddd; padding: 0.35rem 0.7rem; text-align: left; }
+  th { background: #f5f5f5; }
+  pre { background: #f5f5f5; padding: 1rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>Magento Load Test Report</h1>
+<p>${escapeXml(report.testRun.baseUrl)} · profile <b>${escapeXml(report.testRun.profile)}</b> · ${escapeXml(report.testRun.executionMode)} model · ${Math.round(report.testRun.durationMs / 1000)}s · generated ${escapeXml(report.generatedAt)}</p>
+<p><span class="status ${status.toLowerCase()}">${status}</span></p>
+${sections.map(([title, content]) => `<h2>${title}</h2>\n${content}`).join('\n')}
+</body>
+</html>
+`;
+}
+
+// JUnit XML with one testcase per threshold, so CI can gate on the result
+function junitReport(report) {
+  const failures = report.thresholds.filter(t => !t.ok).length;
+  const testcases = report.thresholds.map(t => {
+    const name = escapeXml(`${t.metric}: ${t.expression}`);
+    if (t.ok) return `    <testcase classname="k6.thresholds" name="${name}"/>`;
+    const message = escapeXml(`${t.metric} ${t.expression} failed${t.value === null ? '' : ` (actual ${t.value})`}`);
+    return `    <testcase classname="k6.thresholds" name="${name}">\n      <failure message="${message}"/>\n    </testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="${report.thresholds.length}" failures="${failures}">
+  <testsuite name="Magento load test (${escapeXml(report.testRun.profile)})" tests="${report.thresholds.length}" failures="${failures}" time="${(report.testRun.durationMs / 1000).toFixed(3)}">
+${testcases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+// Path of a report file in the output directory
+function reportPath(fileName) {
+  return REPORT_OUTPUT_DIR ? `${REPORT_OUTPUT_DIR.replace(/\/$/, '')}/${fileName}` : fileName;
+}
+
+// Write the console summary plus the JSON, HTML and JUnit reports
+export function handleSummary(data) {
+  const report = buildReport(data);
+  const outputs = {
+    stdout: textSummary(data, { indent: ' ', enableColors: true }) + (report.baseline ? baselineTextSummary(report.baseline) : ''),
+  };
+
+  if (ENABLE_JSON_REPORT) outputs[reportPath('summary.json')] = JSON.stringify(report, null, 2);
+  if (ENABLE_HTML_REPORT) outputs[reportPath('report.html')] = htmlReport(report);
+  if (ENABLE_JUNIT_REPORT) outputs[reportPath('junit.xml')] = junitReport(report);
+
+  return outputs;
+}
@@ -225,6 +225,11 @@ loadTest:
   rampUpDuration: "${RAMP_UP_DURATION}s"
   sustainedDuration: "${SUSTAINED_DURATION}s"
   rampDownDuration: "${RAMP_DOWN_DURATION}s"
+  profile: "load"
+  executionMode: "closed"
+  arrivalRate: 10
+  arrivalTimeUnit: "1s"
+  expectedSessionDuration: "180s"
 
 # Load other settings from default config if it exists
 performance:
@@ -246,6 +251,7 @@ userBehavior:
   windowShoppingPercentage: 0.05
   quickBuyerPercentage: 0.05
   comprehensiveShoppingPercentage: 0.2
+  headlessJourneyPercentage: 0
 
 ecommerceFlow:
   maxCategoriesPerSession: 3
@@ -257,6 +263,23 @@ ecommerceFlow:
   addToCartMinQty: 1
   addToCartMaxQty: 3
 
+checkout:
+  orderPlacementRate: 0.2
+  paymentMethod: "checkmo"
+  shippingMethod: ""
+  countryId: "US"
+  regionId: 57
+  region: "Texas"
+  postcode: "78701"
+  city: "Austin"
+  street: "123 Load Test Street"
+  telephone: "5125550100"
+
+customerAccounts:
+  customerPoolFile: ""
+  loginRate: 0.3
+  logoutRate: 0.3
+
 browsingPatterns:
   maxBrowsingActions: 12
   minBrowsingActions: 5
@@ -269,15 +292,121 @@ browsingPatterns:
   comparisonShoppingRate: 0.4
   impulseBuyingRate: 0.25
 
+trafficDistribution:
+  wishlistPages: 0.05
+  productComparison: 0.08
+  layeredNavigation: 0.3
+  mediaRequests: 0.3
+
+layeredNavigation:
+  maxFilters: 3
+  sortRate: 0.3
+  directionRate: 0.15
+  limitRate: 0.1
+  modeRate: 0.1
+  removeFilterRate: 0.4
+
+assets:
+  maxPerPage: 60
+  hosts: []
+
+privateContent:
+  enabled: true
+
+wishlist:
+  moveToCartRate: 0.4
+  removeRate: 0.3
+
+productComparison:
+  minProducts: 2
+  maxProducts: 4
+  clearRate: 0.5
+
+coupons:
+  codes:
+    - code: "SAVE10"
+      expected: "invalid"
+    - code: "WELCOME"
+      expected: "invalid"
+    - code: "FIRST20"
+      expected: "invalid"
+    - code: "DISCOUNT"
+      expected: "invalid"
+    - code: "SALE"
+      expected: "invalid"
+  codesFile: ""
+  generatedCodeRate: 0.5
+  removeRate: 0.3
+
 api:
   enableApiLoad: true
   enableGraphqlLoad: true
   enableRestLoad: true
   apiTrafficPercentage: 0.05
+  graphqlRouteQuery: "route"
+
+# Authenticated back-office REST traffic (ERP, PIM, OMS), run as a parallel scenario
+integrationApi:
+  enabled: false
+  accessToken: ""                 # Integration token (or INTEGRATION_ACCESS_TOKEN); empty = admin token
+  adminUsername: ""               # Or MAGENTO_ADMIN_USERNAME
+  adminPassword: ""               # Or MAGENTO_ADMIN_PASSWORD
+  storeCode: "all"                # REST scope: /rest/<storeCode>/V1/...
+  rate: 5                         # Requests per timeUnit
+  timeUnit: "1s"
+  startTime: "0s"                 # Delay before the scenario starts, e.g. to hit peak load
+  # duration: "10m"               # Default: the whole storefront test
+  # stages:                       # Ramp the request rate instead, e.g. an import burst
+  #   - { duration: "2m", target: 5 }
+  #   - { duration: "1m", target: 50 }
+  #   - { duration: "2m", target: 5 }
+  skus: []                        # Empty = sample skuSampleSize SKUs from /V1/products
+  skuSampleSize: 100
+  sourceCode: "default"           # MSI source for stock updates
+  maxPage: 10                     # {{page}} is picked from 1..maxPage
+  # operations:                   # Replaces the built-in operations
+  #   - name: "stock_update"
+  #     method: "POST"
+  #     path: "/V1/inventory/source-items"
+  #     weight: 1
+  #     body: { sourceItems: [{ sku: "{{sku}}", source_code: "{{sourceCode}}", quantity: "{{quantity}}", status: 1 }] }
+
+# Merchandisers working in the admin panel, run as a parallel low-VU scenario (staging only - it saves products)
+adminPanel:
+  enabled: false
+  path: "/admin"                  # Admin frontName (or MAGENTO_ADMIN_PATH)
+  username: ""                    # Or MAGENTO_ADMIN_USERNAME
+  password: ""                    # Or MAGENTO_ADMIN_PASSWORD
+  vus: 1                          # More than 1 needs Admin Account Sharing enabled
+  startTime: "0s"
+  # duration: "10m"               # Default: the whole storefront test
+  minThinkTime: 3                 # Seconds between actions
+  maxThinkTime: 10
+  gridPageSize: 20
+  searchTerms: ["shirt", "bag", "jacket", "pants", "watch"]   # Product grid keyword searches
+  actions:                        # Share of admin iterations
+    productGrid: 0.3
+    orderGrid: 0.25
+    customerGrid: 0.15
+    productSave: 0.15
+    orderView: 0.15
+  durationThreshold: 30000        # Admin request p95 threshold (ms)
+  errorThreshold: 0.1             # Admin error rate threshold
 
 cache:
   cacheBypassPercentage: 0.3
   enableCacheBypass: true
+  bypassStrategy: "query"         # query, headers, header, cookie or vary
+  bypassQueryParam: "nocache"
+  bypassHeaderName: "X-Load-Test-Bypass"
+  bypassCookieName: "load_test_bypass"
+  bypassSecret: ""                # Or set CACHE_BYPASS_SECRET
+  bypassPercentages:
+    homepage: 0.3
+    category: 0.3
+    product: 0.3
+    search: 0.3
+    cms: 0.3
 
 urlDiscovery:
   enableUrlDiscovery: false
@@ -288,6 +417,43 @@ urlDiscovery:
   maxProducts: 500
   maxCategories: 50
   maxSearchTerms: 20
+  enableSitemapDiscovery: false
+  sitemapPath: "/sitemap.xml"
+  sitemapSampling: "stratified"
+  maxSitemapFiles: 20
+  maxCmsPages: 20
+
+reporting:
+  outputDir: ""                   # Empty = working directory; a directory must exist already
+  jsonReport: true                # summary.json
+  htmlReport: true                # report.html
+  junitReport: true               # junit.xml, one testcase per threshold
+
+baseline:
+  file: ""                        # Previous summary.json to compare against (or set BASELINE_FILE)
+  stat: "p(95)"                   # Duration stat compared: avg, med, p(90), p(95), p(99) or max
+  durationTolerance: 0.1          # Allowed slowdown (10%)
+  minDurationDelta: 50            # Slowdowns under 50ms are never regressions
+  errorRateTolerance: 0.01        # Allowed error/success rate change (1 point)
+  failOnRegression: false         # Turn regressions into failed thresholds
+
+# Store views - each session is assigned to one store by weight
+stores:
+  - code: "default"               # Store code, sent as the GraphQL Store header and in REST URLs
+    baseUrl: ""                   # Domain or path prefix (https://example.com/fr); empty = MAGENTO_URL
+    acceptLanguage: "en-US,en;q=0.5"
+    currency: ""                  # ISO code sent as GraphQL Content-Currency; empty = store default
+    weight: 1                     # Share of sessions, relative to the other stores
+  # - code: "fr_fr"
+  #   baseUrl: "https://fr.example.com"
+  #   acceptLanguage: "fr-FR,fr;q=0.9"
+  #   currency: "EUR"
+  #   weight: 0.3
+  #   sitemapPath: "/sitemap_fr.xml"   # Path under baseUrl or full URL; default urlDiscovery.sitemapPath
+  #   products: []                     # Own URL lists replace the discovered ones for this store
+  #   categories: []
+  #   searchTerms: []
+  #   cmsPages: []
 
 realUrls:
   fallbackCategorySlugs:
@@ -332,6 +498,9 @@ paths:
   cartPagePath: "/checkout/cart/"
   checkoutPagePath: "/checkout/onepage/"
   addToCartPath: "/checkout/cart/add/"
+  cartUpdatePath: "/checkout/cart/updatePost/"
+  cartDeletePath: "/checkout/cart/delete/"
+  couponPostPath: "/checkout/cart/couponPost/"
   searchResultPathTemplate: "/catalogsearch/result/?q={q}"
   graphqlPath: "/graphql"
 EOF
@@ -352,6 +521,7 @@ main() {
     print_status "Website: $MAGENTO_URL"
     print_status "Virtual Users: $VIRTUAL_USERS concurrent users"
     print_status "Duration: ${DURATION_SECONDS}s total (${RAMP_UP_DURATION}s ramp-up, ${SUSTAINED_DURATION}s sustained, ${RAMP_DOWN_DURATION}s ramp-down)"
+    print_status "Load Profile: ${LOAD_PROFILE:-load} (set LOAD_PROFILE to smoke, load, stress, spike, soak, breakpoint or custom)"
     print_status "Cache Bypass: 30% of requests (for New Relic visibility)"
     echo ""
     
@@ -399,8 +569,12 @@ main() {
     print_success "Starting load test..."
     echo ""
     
+    # handleSummary() writes its reports here; k6 doesn't create the directory
+    REPORT_OUTPUT_DIR="${REPORT_OUTPUT_DIR:-reports}"
+    mkdir -p "$REPORT_OUTPUT_DIR"
+    
     # Run the load test with environment variable
-    MAGENTO_URL="$MAGENTO_URL" k6 run k6-magento-load-test.js
+    MAGENTO_URL="$MAGENTO_URL" REPORT_OUTPUT_DIR="$REPORT_OUTPUT_DIR" k6 run k6-magento-load-test.js
     
     # Restore original config if it existed
     if [ -n "$BACKUP_CONFIG" ]; then
@@ -423,7 +597,12 @@ main() {
     echo "  • Threshold violations (if any)"
     echo "  • New Relic visibility (30% cache bypass)"
     echo ""
-    print_status "For detailed analysis, check your New Relic dashboard"
+    print_status "Reports written to $REPORT_OUTPUT_DIR/:"
+    echo "  • report.html  - shareable HTML report"
+    echo "  • summary.json - machine-readable summary"
+    echo "  • junit.xml    - one testcase per threshold for CI"
+    echo ""
+    print_status "For backend analysis, check your New Relic dashboard"
 }
 
 # Run main function